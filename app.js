@@ -1,21 +1,37 @@
 /**
  * Audio Visualizer - Main Application Shell
- * Dual canvas system: main (2D or WebGL) + overlay (always 2D)
+ * Dual canvas system: main (2D composite of the layer stack) + overlay (always 2D)
  */
 import { AudioAnalyzer } from './audio/analyzer.js';
-import { visualizers, getVisualizerById } from './vis/index.js';
+import { visualizers, getVisualizerById, registryErrors } from './vis/index.js';
+import { VideoExporter } from './core/VideoExporter.js';
+import { Recorder } from './core/Recorder.js';
+import { PresetStore, PRESET_VERSION, imageToDataURL, dataURLToImage } from './core/PresetStore.js';
+import { UrlState } from './core/UrlState.js';
+import { LayerStack, BLEND_MODES } from './core/LayerStack.js';
+import { Playlist } from './core/Playlist.js';
+import { Timeline, EASINGS, automatablePaths } from './core/Timeline.js';
+import { ModMatrix, MOD_SOURCES, LFO_SHAPES, MOD_BAND_COUNT } from './core/ModMatrix.js';
+import { PluginLoader } from './core/PluginLoader.js';
+import { PostChain, POST_EFFECTS, DEFAULT_POST_ORDER } from './core/PostChain.js';
+import { QualityGovernor } from './core/QualityGovernor.js';
+import { RenderWorker } from './core/RenderWorker.js';
+
+const MAX_DIAGNOSTICS = 20;
+const CODE_EDIT_DELAY = 400; // ms of typing pause before a code param (shader source) applies
+const FRAME_SLACK = 2;       // ms; RAF callbacks this close to the next frame time render it
 
 class VisualizerApp {
   constructor() {
     this.canvasContainer = document.getElementById('canvas-container');
     this.canvasWrapper = document.getElementById('canvas-wrapper');
     this.mainCanvas = null;
+    this.renderWidth = 0;  // internal resolution (mainCanvas may belong to the render worker)
+    this.renderHeight = 0;
     this.overlayCanvas = document.getElementById('overlay-canvas');
     this.overlayCtx = this.overlayCanvas?.getContext('2d');
 
-    this.gl = null;
     this.ctx2d = null;
-    this.currentContextType = null; // '2d' or 'webgl2'
 
     // Settings (shared, read by visualizers)
     this.settings = {
@@ -41,17 +57,25 @@ class VisualizerApp {
       alphaEnd: 0.3,
       alphaScalar: 1.0,
 
-      // Visualizer bars
-      barMode: 'solid',     // 'solid' | 'blocks' | 'texture' etc. (visualizers decide)
-      segmentHeight: 8,
-      segmentGap: 2,
-      roundedBlocks: false,
-
       // Color mode (all visualizers)
       colorMode: 'fixed',       // 'fixed' | 'gradient' | 'cycle' | 'random'
 
-      // Plasma/Lightning settings
-      plasmaMode: 'arcs',      // 'arcs' | 'ball'
+      // Visualizer switching
+      transition: 'crossfade',  // 'none' | 'crossfade' | 'wipe' | 'zoom'
+      transitionDuration: 1.0,  // seconds
+
+      // Post effects (WebGL2, on the composited frame; an effect's amount 0 = off)
+      postOrder: DEFAULT_POST_ORDER.slice(),
+      shake: 0,
+      feedback: 0,          // trail persistence 0..0.98
+      feedbackZoom: 0.01,   // trails drift outward (<0 inward)
+      bloom: 0,
+      bloomThreshold: 0.6,
+      bloomRadius: 1,
+      chromatic: 0,
+      crt: 0,
+      grain: 0,
+      vignette: 0,
 
       // Audio / Frequency mapping
       freqMin: 30,
@@ -64,14 +88,15 @@ class VisualizerApp {
       gain: 4,
       compress: 0.6,
       tilt: 0.8,
-      attack: 1,
-      release: 0.8,
+      attackTime: 0,      // seconds (0 = instant)
+      releaseTime: 0.01,  // seconds
 
       // Performance
       targetFPS: 60,
       renderScale: 1.0, // still supported (DPR+scale)
       maxDPR: 2,
       autoQuality: false,
+      renderWorker: false, // render layers in a worker (when every layer is workerSafe)
 
       // Overlay
       logoImage: null,
@@ -86,12 +111,80 @@ class VisualizerApp {
       albumSize: 100
     };
 
+    // Visualizer-specific settings (barMode, lorenzTrail, ...) come from their params schemas
+    visualizers.forEach((v) => this._addParamDefaults(v));
+
+    // Shareable URL hash (diffed against these defaults)
+    this.urlState = new UrlState(this.settings);
+
     this.audio = new AudioAnalyzer();
+    this.audioEl = null;
+    this.audioFile = null;
+
+    // Offline export: while active, the export loop drives frames instead of RAF
+    this.exporter = new VideoExporter(this);
+    this.offline = false;
+    this._liveAudio = null;
 
-    this.currentVisualizer = null;
+    // Real-time recording of the composited output
+    this.recorder = new Recorder(this);
+
+    // Visualizer layers (each with its own 2d/webgl2 target), composited into mainCanvas.
+    // The Visualizer panel edits the selected layer; currentVisId is its visualizer.
+    this.layers = new LayerStack();
+    this.selectedLayerId = null;
     this.currentVisId = 'bars2d';
 
-    this.frameTimes = [];
+    // Scene cycling: each scene is a visualizer + its own copy of the look settings
+    this.playlist = new Playlist();
+    this._selectedScene = -1;
+
+    // Keyframe automation against the audio time (stored per audio file + in presets)
+    this.timeline = new Timeline();
+
+    // Audio/LFO modulation of settings and visualizer parameters (stored in presets)
+    this.modMatrix = new ModMatrix();
+    this.layers.modulator = this.modMatrix;
+    this._selectedRoute = -1;
+
+    // Visualizer errors (contract violations, failures) shown in the diagnostics panel
+    this.diagnostics = [];
+    this.layers.onError = (info) => this.reportVisualizerError(info);
+
+    // Post-processing of the composited frame
+    this.post = new PostChain();
+
+    // Optional worker rendering: 'worker' while mainCanvas is transferred to it
+    this.renderWorker = new RenderWorker();
+    this.renderMode = 'main';
+    this._renderWorkerFailed = false;
+    this.renderWorker.onError = (info) => {
+      if (!info.visId) {
+        if (info.phase === 'worker') this._renderWorkerFailed = true;
+        this.addDiagnostic(`Render worker: ${info.error.message}`);
+        return;
+      }
+      // Keep the layer list in step with the worker's failure guard
+      if (info.disabled) this.layers.disable(info.visId);
+      this.reportVisualizerError(info);
+    };
+    this.renderWorker.onStatus = (layerId, status) => {
+      const vis = this.layers.get(layerId)?.vis;
+      if (vis) vis.status = status;
+    };
+
+    // Third-party visualizers (URL plugins are reloaded on startup)
+    this.plugins = new PluginLoader();
+
+    // Presets + two-way UI bindings (each binding registers a settings -> control refresher)
+    this.presets = new PresetStore();
+    this._uiSync = [];
+
+    // Frame pacing to targetFPS + adaptive resolution (autoQuality)
+    this.governor = new QualityGovernor();
+    this.frameTimes = []; // ms between rendered frames
+    this.workTimes = [];  // ms spent rendering each frame
+    this._nextFrame = 0;
     this.lastTime = 0;
     this.focusMode = false;
 
@@ -99,63 +192,58 @@ class VisualizerApp {
   }
 
   async init() {
-    this.createMainCanvas('2d'); // Start with 2D
+    // Remembered plugins first, so share links/layers using their ids resolve (each URL is
+    // bounded by a timeout, see PluginLoader.restore)
+    const plugins = await this.plugins.restore();
+    plugins.loaded.forEach((v) => this._addParamDefaults(v));
+
+    // Restore shared state before anything reads settings or picks a visualizer
+    this._applyUrlState(location.hash);
+
+    this.createMainCanvas();
+    this.layers.attach({ audio: this.audio }, this.settings);
     this.resize();
 
     window.addEventListener('resize', () => this.resize());
+    window.addEventListener('hashchange', () => {
+      if (!this._applyUrlState(location.hash, true)) return;
+      this.syncUI();
+      this.resize();
+    });
 
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') this.toggleFocusMode();
+      if ((e.key === 't' || e.key === 'T') && !e.target.closest?.('input, textarea, select')) this.tapTempo();
     });
 
     this.setupUI();
-    this.loadVisualizer(this.currentVisId);
+    registryErrors.forEach(({ error }) => this.addDiagnostic(error.message));
+    plugins.errors.forEach(({ url, error }) => this.addDiagnostic(`Plugin ${url}: ${error.message}`));
+
+    if (!this.layers.layers.length) this.loadVisualizer(this.currentVisId);
 
     this.lastTime = performance.now();
     this.render();
   }
 
   /**
-   * Create/replace main canvas with the requested context type.
-   * Falls back to 2D if WebGL2 isn't available.
+   * Create (or replace) the main (output) canvas. It is always 2D: layers render into their
+   * own 2d/webgl2 targets and are composited here. For the render worker it is left without
+   * a context, so it can be transferred.
    */
-  createMainCanvas(type) {
-    // Remove old canvas if exists
-    if (this.mainCanvas) {
-      this.mainCanvas.remove();
-      this.gl = null;
-      this.ctx2d = null;
-    }
-
-    // Create new canvas
+  createMainCanvas(forWorker = false) {
+    const old = this.mainCanvas;
     this.mainCanvas = document.createElement('canvas');
     this.mainCanvas.id = 'visualizer-canvas';
-    // Insert before overlay, or append if overlay not a child
-    if (this.overlayCanvas && this.overlayCanvas.parentNode === this.canvasWrapper) {
+    if (old?.parentNode) {
+      old.replaceWith(this.mainCanvas);
+    } else if (this.overlayCanvas && this.overlayCanvas.parentNode === this.canvasWrapper) {
+      // Insert before overlay, or append if overlay not a child
       this.canvasWrapper.insertBefore(this.mainCanvas, this.overlayCanvas);
     } else {
       this.canvasWrapper.appendChild(this.mainCanvas);
     }
-
-    // Get appropriate context
-    if (type === 'webgl2') {
-      this.gl = this.mainCanvas.getContext('webgl2', { alpha: false, antialias: false });
-      if (!this.gl) {
-        console.error('WebGL2 not supported');
-        this.setStatus('WebGL2 not supported - using 2D');
-        this.ctx2d = this.mainCanvas.getContext('2d');
-        this.currentContextType = '2d';
-        return '2d';
-      }
-      this.ctx2d = null;
-      this.currentContextType = 'webgl2';
-      return 'webgl2';
-    } else {
-      this.ctx2d = this.mainCanvas.getContext('2d');
-      this.gl = null;
-      this.currentContextType = '2d';
-      return '2d';
-    }
+    this.ctx2d = forWorker ? null : this.mainCanvas.getContext('2d');
   }
 
   setupUI() {
@@ -173,79 +261,118 @@ class VisualizerApp {
     document.getElementById('btn-mic')?.addEventListener('click', () => this.startMic());
     document.getElementById('btn-file')?.addEventListener('click', () => this.loadAudioFile());
 
+    // Tempo: tap to override detection, Auto to go back
+    document.getElementById('btn-tap')?.addEventListener('click', () => this.tapTempo());
+    document.getElementById('btn-tap-clear')?.addEventListener('click', () => {
+      this.audio.tempo.clearTap();
+      this.setStatus('Tempo: auto');
+    });
+
+    // Export
+    document.getElementById('btn-export')?.addEventListener('click', () => this.exportVideo());
+    document.getElementById('btn-record')?.addEventListener('click', () => this.toggleRecording());
+
     // Visualizer selector
     const visSel = document.getElementById('vis-select');
     if (visSel) {
-      visualizers.forEach((v, idx) => {
-        try {
-          const opt = document.createElement('option');
-          opt.value = v.id;
-          opt.textContent = v.name;
-          visSel.appendChild(opt);
-        } catch (e) {
-          console.error(`Failed to add visualizer at index ${idx}:`, e, v);
-        }
-      });
+      visualizers.forEach((v) => this._addVisualizerOption(v));
       visSel.value = this.currentVisId;
-      visSel.addEventListener('change', () => this.loadVisualizer(visSel.value));
+      // Picking a disabled visualizer by hand gives it another chance
+      visSel.addEventListener('change', () => {
+        this.layers.disabled.delete(visSel.value);
+        this.renderWorker.enable(visSel.value);
+        this.loadVisualizer(visSel.value);
+      });
     }
 
-    // Canvas settings
-    document.getElementById('aspect-ratio')?.addEventListener('change', (e) => {
-      this.settings.aspectRatio = e.target.value;
-      this.resize();
+    document.getElementById('btn-plugin-file')?.addEventListener('click', () => this.loadPluginFile());
+    document.getElementById('btn-plugin-url')?.addEventListener('click', () => {
+      const url = prompt('Plugin module URL:');
+      if (url) this.loadPluginURL(url.trim());
     });
+    document.getElementById('btn-plugin-unload')?.addEventListener('click', () => this.unloadPlugin(this.currentVisId));
+
+    document.getElementById('btn-diagnostics-clear')?.addEventListener('click', () => {
+      this.diagnostics.length = 0;
+      this.refreshDiagnosticsUI();
+    });
+
+    this._setupLayerUI();
+    this._setupPlaylistUI();
+    this._setupTimelineUI();
+    this._setupModulationUI();
+    this._setupPostUI();
+
+    // Presets
+    this.refreshPresetList();
+    document.getElementById('preset-select')?.addEventListener('change', (e) => {
+      if (e.target.value) this.loadPreset(e.target.value);
+    });
+    document.getElementById('btn-preset-save')?.addEventListener('click', () => this.savePreset());
+    document.getElementById('btn-preset-delete')?.addEventListener('click', () => this.deletePreset());
+    document.getElementById('btn-preset-export')?.addEventListener('click', () => this.exportPreset());
+    document.getElementById('btn-preset-import')?.addEventListener('click', () => this.importPreset());
+    document.getElementById('btn-share-link')?.addEventListener('click', () => this.copyShareLink());
+
+    // Canvas settings
+    this._bindSelect('aspect-ratio', 'aspectRatio', () => this.resize());
 
     const qualitySlider = document.getElementById('quality-scale');
     const qualityVal = document.getElementById('quality-val');
     if (qualitySlider) {
-      // initialize label
-      const initH = Math.round(1080 + this.settings.qualityScale * 1080);
-      if (qualityVal) qualityVal.textContent = initH >= 2160 ? '4K' : `${initH}p`;
+      const syncQuality = () => {
+        qualitySlider.value = this.settings.qualityScale;
+        const h = Math.round(1080 + this.settings.qualityScale * 1080);
+        if (qualityVal) qualityVal.textContent = h >= 2160 ? '4K' : `${h}p`;
+      };
+      syncQuality();
+      this._uiSync.push(syncQuality);
 
-      qualitySlider.value = this.settings.qualityScale;
       qualitySlider.addEventListener('input', (e) => {
         this.settings.qualityScale = parseFloat(e.target.value);
-        const h = Math.round(1080 + this.settings.qualityScale * 1080);
-        if (qualityVal) qualityVal.textContent = h >= 2160 ? '4K' : `${h}p`;
+        syncQuality();
         this.resize();
       });
     }
 
-    // Visualizer bar mode
-    this._bindSelect('bar-mode', 'barMode');
-    this._bindSlider('seg-height', 'segmentHeight', 'seg-height-val');
-    this._bindSlider('seg-gap', 'segmentGap', 'seg-gap-val');
-    this._bindCheckbox('rounded-blocks', 'roundedBlocks');
+    // Per-visualizer controls
+    this._setupVisParamsUI();
 
-    // Plasma settings
-    this._bindSelect('plasma-mode', 'plasmaMode');
+    // Transition used when switching the selected layer's visualizer
+    this._bindSelect('transition', 'transition');
+    this._bindSlider('transition-duration', 'transitionDuration', 'transition-duration-val');
 
     // Color mode (for all visualizers)
-    const colorModeEl = document.getElementById('color-mode');
-    if (colorModeEl) {
-      colorModeEl.value = this.settings.colorMode;
-      colorModeEl.addEventListener('change', (e) => {
-        this.settings.colorMode = e.target.value;
-        this.settings.gradientEnabled = (e.target.value === 'gradient');
-      });
-    }
+    this._bindSelect('color-mode', 'colorMode', () => {
+      this.settings.gradientEnabled = (this.settings.colorMode === 'gradient');
+    });
 
     // Color & Style bindings (existing)
     this._bindInput('base-color', 'baseColor', 'value');
     this._bindInput('bg-color', 'bgColor', 'value');
 
     // Gradient
-
-    document.getElementById('gradient-stops')?.addEventListener('change', (e) => {
-      this.settings.gradientStops = parseInt(e.target.value, 10);
-      this.updateColorStopVisibility();
-    });
+    const stopsEl = document.getElementById('gradient-stops');
+    if (stopsEl) {
+      const syncStops = () => {
+        stopsEl.value = String(this.settings.gradientStops);
+        this.updateColorStopVisibility();
+      };
+      syncStops();
+      this._uiSync.push(syncStops);
+
+      stopsEl.addEventListener('change', (e) => {
+        this.settings.gradientStops = parseInt(e.target.value, 10);
+        this.updateColorStopVisibility();
+      });
+    }
 
     for (let i = 0; i < 5; i++) {
       const el = document.getElementById(`color-stop-${i}`);
       if (el) {
-        el.value = this.settings.colorStops[i] || '#ffffff';
+        const syncStop = () => (el.value = this.settings.colorStops[i] || '#ffffff');
+        syncStop();
+        this._uiSync.push(syncStop);
         el.addEventListener('input', (e) => (this.settings.colorStops[i] = e.target.value));
       }
     }
@@ -272,23 +399,40 @@ class VisualizerApp {
     this._bindSlider('audio-gain', 'gain', 'gain-val');
     this._bindSlider('audio-compress', 'compress', 'compress-val');
     this._bindSlider('audio-tilt', 'tilt', 'tilt-val');
-    this._bindSlider('audio-attack', 'attack', 'attack-val');
-    this._bindSlider('audio-release', 'release', 'release-val');
+    this._bindSlider('audio-attack', 'attackTime', 'attack-val');
+    this._bindSlider('audio-release', 'releaseTime', 'release-val');
 
     // Performance
     this._bindSlider('render-scale', 'renderScale', 'scale-val', () => this.resize());
+    this._bindCheckbox('auto-quality', 'autoQuality');
+    this._bindCheckbox('render-worker', 'renderWorker');
+    document.getElementById('auto-quality')?.addEventListener('change', () => {
+      this.governor.reset();
+      this.resize();
+    });
+
+    const fpsSel = document.getElementById('target-fps');
+    if (fpsSel) {
+      const syncFps = () => (fpsSel.value = String(this.settings.targetFPS));
+      syncFps();
+      this._uiSync.push(syncFps);
+      fpsSel.addEventListener('change', (e) => {
+        this.settings.targetFPS = parseInt(e.target.value, 10);
+        this._nextFrame = 0;
+        this.governor.reset();
+        this.resize();
+      });
+    }
 
     // Overlay sizes
     this._bindSlider('logo-size', 'logoSize', 'logo-size-val');
     this._bindSlider('album-size', 'albumSize', 'album-size-val');
 
     // Text inputs
-    document.getElementById('song-title')?.addEventListener('input', (e) => (this.settings.songTitle = e.target.value));
-    document.getElementById('artist')?.addEventListener('input', (e) => (this.settings.artist = e.target.value));
-    document.getElementById('album-name')?.addEventListener('input', (e) => (this.settings.album = e.target.value));
-    document
-      .getElementById('overlay-position')
-      ?.addEventListener('change', (e) => (this.settings.overlayPosition = e.target.value));
+    this._bindInput('song-title', 'songTitle', 'value');
+    this._bindInput('artist', 'artist', 'value');
+    this._bindInput('album-name', 'album', 'value');
+    this._bindSelect('overlay-position', 'overlayPosition');
 
     // Image uploads
     document.getElementById('logo-upload')?.addEventListener('change', (e) => this.loadImage(e, 'logoImage'));
@@ -298,18 +442,207 @@ class VisualizerApp {
     this.updateColorStopVisibility();
   }
 
+  /**
+   * Push current settings back into every bound control (after presets, URL state, etc.)
+   */
+  syncUI() {
+    this._uiSync.forEach((sync) => sync());
+  }
+
+  /**
+   * Build a control for every visualizer param (once per settings key), grouped by
+   * param group. refreshVisParamsUI() shows the ones the current layers' visualizers use.
+   */
+  _setupVisParamsUI() {
+    this._visParamRows = new Map();   // settings key -> { row, visIds }
+    this._visParamGroups = new Map(); // group name -> element
+    visualizers.forEach((v) => this._addVisParamControls(v));
+    this.refreshVisParamsUI();
+  }
+
+  _addVisParamControls(v) {
+    const container = document.getElementById('vis-params');
+    if (!container) return;
+
+    for (const [key, param] of Object.entries(v.params || {})) {
+      const existing = this._visParamRows.get(key);
+      if (existing) {
+        existing.visIds.add(v.id);
+        continue;
+      }
+
+      const groupName = param.group || v.name;
+      let group = this._visParamGroups.get(groupName);
+      if (!group) {
+        group = document.createElement('div');
+        group.className = 'vis-param-group';
+        const title = document.createElement('div');
+        title.className = 'vis-param-title';
+        title.textContent = groupName;
+        group.appendChild(title);
+        container.appendChild(group);
+        this._visParamGroups.set(groupName, group);
+      }
+
+      const row = this._createParamRow(key, param);
+      group.appendChild(row);
+      this._visParamRows.set(key, { row, visIds: new Set([v.id]) });
+    }
+  }
+
+  // Controls bound to a removed visualizer's params go with it (unless another one shares them)
+  _removeVisParamControls(id) {
+    for (const [key, entry] of this._visParamRows) {
+      entry.visIds.delete(id);
+      if (entry.visIds.size) continue;
+      entry.row.remove();
+      this._visParamRows.delete(key);
+    }
+    for (const [name, group] of this._visParamGroups) {
+      if (group.querySelector('.control-row')) continue;
+      group.remove();
+      this._visParamGroups.delete(name);
+    }
+  }
+
+  // Message the selected layer's visualizer publishes via `status` (e.g. shader compile errors)
+  _refreshVisStatus() {
+    const status = this.layers.get(this.selectedLayerId)?.vis?.status || '';
+    if (status === this._visStatus) return;
+    this._visStatus = status;
+    const el = document.getElementById('vis-status');
+    if (!el) return;
+    el.textContent = status;
+    el.style.display = status ? '' : 'none';
+  }
+
+  _addParamDefaults(v) {
+    for (const [key, param] of Object.entries(v.params || {})) {
+      if (!(key in this.settings)) this.settings[key] = param.default;
+    }
+  }
+
+  _createParamRow(key, param) {
+    const elId = 'param-' + key;
+    const row = document.createElement('div');
+    row.className = param.type === 'checkbox' ? 'control-row inline-row' : 'control-row';
+    const label = document.createElement('label');
+    label.textContent = param.label || key;
+    row.appendChild(label);
+
+    let el;
+    if (param.type === 'select') {
+      el = document.createElement('select');
+      for (const [value, text] of param.options || []) {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = text;
+        el.appendChild(opt);
+      }
+    } else if (param.type === 'code') {
+      el = document.createElement('textarea');
+      el.className = 'code-editor';
+      el.spellcheck = false;
+      el.rows = 14;
+    } else {
+      el = document.createElement('input');
+      el.type = param.type;
+      if (param.min !== undefined) el.min = param.min;
+      if (param.max !== undefined) el.max = param.max;
+      if (param.step !== undefined) el.step = param.step;
+    }
+    el.id = elId;
+    row.appendChild(el);
+
+    // Wire through the same binders as the static controls (so syncUI() covers them)
+    if (param.type === 'range') {
+      label.textContent += ': ';
+      const val = document.createElement('span');
+      val.id = elId + '-val';
+      label.appendChild(val);
+      this._bindSlider(elId, key, val.id);
+    } else if (param.type === 'select') {
+      this._bindSelect(elId, key);
+    } else if (param.type === 'checkbox') {
+      this._bindCheckbox(elId, key);
+    } else if (param.type === 'number') {
+      this._bindNumber(elId, key);
+    } else if (param.type === 'code') {
+      this._bindCode(elId, key);
+    } else {
+      this._bindInput(elId, key, 'value');
+    }
+    return row;
+  }
+
+  /**
+   * Show only the params of visualizers the layer stack currently uses.
+   */
+  refreshVisParamsUI() {
+    if (!this._visParamRows) return;
+    const active = new Set(this.layers.layers.map((l) => l.visId));
+    for (const { row, visIds } of this._visParamRows.values()) {
+      row.style.display = [...visIds].some((id) => active.has(id)) ? '' : 'none';
+    }
+    document.querySelectorAll('#vis-params .vis-param-group').forEach((group) => {
+      const rows = group.querySelectorAll('.control-row');
+      group.style.display = [...rows].some((r) => r.style.display !== 'none') ? '' : 'none';
+    });
+  }
+
   _bindInput(elId, settingKey, prop) {
     const el = document.getElementById(elId);
     if (el) {
-      el[prop] = this.settings[settingKey];
+      const sync = () => (el[prop] = this.settings[settingKey]);
+      sync();
+      this._uiSync.push(sync);
       el.addEventListener('input', (e) => (this.settings[settingKey] = e.target[prop]));
     }
   }
 
+  _bindNumber(elId, settingKey) {
+    const el = document.getElementById(elId);
+    if (el) {
+      const sync = () => (el.value = this.settings[settingKey]);
+      sync();
+      this._uiSync.push(sync);
+      el.addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (Number.isFinite(value)) this.settings[settingKey] = value;
+      });
+    }
+  }
+
+  // Multi-line source: written after a typing pause (visualizers recompile on change);
+  // Tab indents instead of leaving the editor
+  _bindCode(elId, settingKey) {
+    const el = document.getElementById(elId);
+    if (!el) return;
+    const sync = () => {
+      if (el.value !== this.settings[settingKey]) el.value = this.settings[settingKey];
+    };
+    sync();
+    this._uiSync.push(sync);
+
+    let timer = null;
+    el.addEventListener('input', () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => (this.settings[settingKey] = el.value), CODE_EDIT_DELAY);
+    });
+    el.addEventListener('keydown', (e) => {
+      if (e.key !== 'Tab') return;
+      e.preventDefault();
+      el.setRangeText('    ', el.selectionStart, el.selectionEnd, 'end');
+      el.dispatchEvent(new Event('input'));
+    });
+  }
+
   _bindCheckbox(elId, settingKey) {
     const el = document.getElementById(elId);
     if (el) {
-      el.checked = this.settings[settingKey];
+      const sync = () => (el.checked = this.settings[settingKey]);
+      sync();
+      this._uiSync.push(sync);
       el.addEventListener('change', (e) => (this.settings[settingKey] = e.target.checked));
     }
   }
@@ -318,8 +651,12 @@ class VisualizerApp {
     const el = document.getElementById(elId);
     const valEl = document.getElementById(valElId);
     if (el) {
-      el.value = this.settings[settingKey];
-      if (valEl) valEl.textContent = this.settings[settingKey];
+      const sync = () => {
+        el.value = this.settings[settingKey];
+        if (valEl) valEl.textContent = this.settings[settingKey];
+      };
+      sync();
+      this._uiSync.push(sync);
 
       el.addEventListener('input', (e) => {
         this.settings[settingKey] = parseFloat(e.target.value);
@@ -329,11 +666,16 @@ class VisualizerApp {
     }
   }
 
-  _bindSelect(elId, settingKey) {
+  _bindSelect(elId, settingKey, callback) {
     const el = document.getElementById(elId);
     if (el) {
-      el.value = this.settings[settingKey];
-      el.addEventListener('change', (e) => (this.settings[settingKey] = e.target.value));
+      const sync = () => (el.value = this.settings[settingKey]);
+      sync();
+      this._uiSync.push(sync);
+      el.addEventListener('change', (e) => {
+        this.settings[settingKey] = e.target.value;
+        if (callback) callback();
+      });
     }
   }
 
@@ -353,55 +695,202 @@ class VisualizerApp {
     img.src = URL.createObjectURL(file);
   }
 
+  tapTempo() {
+    const bpm = this.audio.tempo.tap();
+    if (bpm) this.setStatus(`Tempo: ${bpm.toFixed(1)} BPM (tap)`);
+  }
+
   toggleFocusMode() {
     this.focusMode = !this.focusMode;
     document.body.classList.toggle('focus-mode', this.focusMode);
     document.getElementById('focus-btn')?.classList.toggle('active', this.focusMode);
   }
 
+  /**
+   * Load a visualizer into the selected layer (creating the first layer if needed).
+   */
   loadVisualizer(id) {
-    // Dispose current
-    if (this.currentVisualizer) {
-      try {
-        this.currentVisualizer.dispose();
-      } catch (_) {}
-      this.currentVisualizer = null;
-    }
-
     const vis = getVisualizerById(id);
     if (!vis) {
       this.setStatus('Visualizer not found: ' + id);
       return;
     }
 
-    this.currentVisId = id;
-
-    // Recreate canvas if context type changes
-    const needsType = vis.type === 'webgl2' ? 'webgl2' : '2d';
-    if (this.currentContextType !== needsType) {
-      const actual = this.createMainCanvas(needsType);
-      this.resize();
-
-      // If WebGL2 requested but fell back to 2D, do not init a WebGL visualizer
-      if (needsType === 'webgl2' && actual !== 'webgl2') {
-        this.setStatus('WebGL2 not supported - pick a 2D visualizer');
-        return;
+    let layer = this.layers.get(this.selectedLayerId);
+    try {
+      if (layer) {
+        this.layers.setVisualizer(layer.id, id, {
+          type: this.settings.transition,
+          duration: this.settings.transitionDuration
+        });
+      } else {
+        layer = this.layers.add(id);
       }
+    } catch (e) {
+      console.error(e);
+      this.setStatus(e.message + ' - pick a 2D visualizer');
+      this.refreshLayerUI();
+      return;
     }
 
-    // Initialize visualizer
-    const ctx = vis.type === 'webgl2' ? { gl: this.gl } : { ctx2d: this.ctx2d };
+    // The layer may show the fallback if the requested visualizer is disabled
+    this.selectedLayerId = layer.id;
+    this.currentVisId = layer.visId;
+    const visSel = document.getElementById('vis-select');
+    if (visSel) visSel.value = layer.visId;
+    this.refreshLayerUI();
+
+    if (layer.visId !== id) this.setStatus(`${vis.name} is disabled (see diagnostics)`);
+    else this.setStatus(layer.error ? 'Visualizer init failed: ' + vis.name : 'Loaded: ' + vis.name);
+  }
+
+  // --- Layers ---
+
+  addLayer() {
     try {
-      vis.init(ctx, { audio: this.audio }, this.settings);
+      const layer = this.layers.add(this.currentVisId);
+      this.selectLayer(layer.id);
+      this.setStatus('Layer added: ' + getVisualizerById(layer.visId).name);
     } catch (e) {
       console.error(e);
-      this.setStatus('Visualizer init failed: ' + vis.name);
+      this.setStatus('Layer add failed: ' + e.message);
+    }
+  }
+
+  removeLayer() {
+    if (this.layers.layers.length <= 1) {
+      this.setStatus('Cannot remove the last layer');
       return;
     }
+    this.layers.remove(this.selectedLayerId);
+    const top = this.layers.layers[this.layers.layers.length - 1];
+    this.selectLayer(top.id);
+  }
 
-    this.currentVisualizer = vis;
-    this.resize();
-    this.setStatus('Loaded: ' + vis.name);
+  moveLayer(delta) {
+    this.layers.move(this.selectedLayerId, delta);
+    this.refreshLayerUI();
+  }
+
+  selectLayer(id) {
+    const layer = this.layers.get(id);
+    if (!layer) return;
+    this.selectedLayerId = id;
+    this.currentVisId = layer.visId;
+    const visSel = document.getElementById('vis-select');
+    if (visSel) visSel.value = layer.visId;
+    this.refreshLayerUI();
+  }
+
+  /**
+   * Replace the whole stack (presets, share links). Falls back to the current visualizer.
+   */
+  setLayers(list) {
+    this.layers.fromJSON(list);
+    this.selectedLayerId = null;
+    if (!this.layers.layers.length) {
+      this.loadVisualizer(this.currentVisId);
+      return;
+    }
+    this.selectLayer(this.layers.layers[this.layers.layers.length - 1].id);
+  }
+
+  _setupLayerUI() {
+    document.getElementById('layer-list')?.addEventListener('change', (e) => {
+      this.selectLayer(parseInt(e.target.value, 10));
+    });
+    document.getElementById('btn-layer-add')?.addEventListener('click', () => this.addLayer());
+    document.getElementById('btn-layer-remove')?.addEventListener('click', () => this.removeLayer());
+    document.getElementById('btn-layer-up')?.addEventListener('click', () => this.moveLayer(1));
+    document.getElementById('btn-layer-down')?.addEventListener('click', () => this.moveLayer(-1));
+
+    const blendSel = document.getElementById('layer-blend');
+    if (blendSel) {
+      Object.keys(BLEND_MODES).forEach((mode) => {
+        const opt = document.createElement('option');
+        opt.value = mode;
+        opt.textContent = mode[0].toUpperCase() + mode.slice(1);
+        blendSel.appendChild(opt);
+      });
+      blendSel.addEventListener('change', (e) => {
+        const layer = this.layers.get(this.selectedLayerId);
+        if (layer) layer.blend = e.target.value;
+      });
+    }
+
+    document.getElementById('layer-visible')?.addEventListener('change', (e) => {
+      const layer = this.layers.get(this.selectedLayerId);
+      if (layer) layer.visible = e.target.checked;
+      this.refreshLayerUI();
+    });
+
+    // Sliders write into the selected layer (opacity, or a transform field)
+    const sliders = [
+      ['layer-opacity', 'layer-opacity-val', (l, v) => (l.opacity = v)],
+      ['layer-x', 'layer-x-val', (l, v) => (l.transform.x = v)],
+      ['layer-y', 'layer-y-val', (l, v) => (l.transform.y = v)],
+      ['layer-scale', 'layer-scale-val', (l, v) => (l.transform.scale = v)],
+      ['layer-rotation', 'layer-rotation-val', (l, v) => (l.transform.rotation = v)]
+    ];
+    for (const [elId, valElId, apply] of sliders) {
+      const el = document.getElementById(elId);
+      const valEl = document.getElementById(valElId);
+      el?.addEventListener('input', (e) => {
+        const layer = this.layers.get(this.selectedLayerId);
+        if (!layer) return;
+        apply(layer, parseFloat(e.target.value));
+        if (valEl) valEl.textContent = e.target.value;
+      });
+    }
+
+    this._uiSync.push(() => this.refreshLayerUI());
+  }
+
+  /**
+   * Rebuild the layer list (top first, like an editor's layer panel) and show the
+   * selected layer's properties.
+   */
+  refreshLayerUI() {
+    this.refreshVisParamsUI();
+
+    document.querySelectorAll('#vis-select option').forEach((opt) => {
+      const name = getVisualizerById(opt.value)?.name;
+      if (name) opt.textContent = name + (this.layers.disabled.has(opt.value) ? ' (disabled)' : '');
+    });
+
+    const list = document.getElementById('layer-list');
+    if (list) {
+      list.innerHTML = '';
+      for (let i = this.layers.layers.length - 1; i >= 0; i--) {
+        const layer = this.layers.layers[i];
+        const opt = document.createElement('option');
+        opt.value = layer.id;
+        opt.textContent = `${i + 1}. ${getVisualizerById(layer.visId)?.name || layer.visId}` +
+          (layer.visible ? '' : ' (hidden)');
+        list.appendChild(opt);
+      }
+      list.value = this.selectedLayerId ?? '';
+    }
+
+    const layer = this.layers.get(this.selectedLayerId);
+    if (!layer) return;
+
+    const setValue = (elId, valElId, value) => {
+      const el = document.getElementById(elId);
+      if (el) el.value = value;
+      const valEl = document.getElementById(valElId);
+      if (valEl) valEl.textContent = value;
+    };
+    setValue('layer-opacity', 'layer-opacity-val', layer.opacity);
+    setValue('layer-x', 'layer-x-val', layer.transform.x);
+    setValue('layer-y', 'layer-y-val', layer.transform.y);
+    setValue('layer-scale', 'layer-scale-val', layer.transform.scale);
+    setValue('layer-rotation', 'layer-rotation-val', layer.transform.rotation);
+
+    const blendSel = document.getElementById('layer-blend');
+    if (blendSel) blendSel.value = layer.blend;
+    const visibleEl = document.getElementById('layer-visible');
+    if (visibleEl) visibleEl.checked = layer.visible;
   }
 
   /**
@@ -412,7 +901,9 @@ class VisualizerApp {
    */
   resize() {
     const dpr = Math.min(devicePixelRatio || 1, this.settings.maxDPR);
-    const rs = this.settings.renderScale;
+    const auto = this.settings.autoQuality;
+    const rs = auto ? this.governor.effectiveRenderScale(this.settings) : this.settings.renderScale;
+    const quality = auto ? this.governor.effectiveQuality(this.settings) : this.settings.qualityScale;
 
     const vw = window.innerWidth;
     const vh = window.innerHeight;
@@ -441,13 +932,15 @@ class VisualizerApp {
     }
 
     // qualityScale maps baseline height 1080..2160; scale internal size accordingly
-    const baselineH = 1080 + this.settings.qualityScale * 1080; // 1080..2160
+    const baselineH = 1080 + quality * 1080; // 1080..2160
     const baselineScale = baselineH / 1080; // 1..2
 
     const w = Math.round(cssW * dpr * rs * baselineScale);
     const h = Math.round(cssH * dpr * rs * baselineScale);
 
-    if (this.mainCanvas) {
+    this.renderWidth = w;
+    this.renderHeight = h;
+    if (this.mainCanvas && this.renderMode === 'main') {
       this.mainCanvas.width = w;
       this.mainCanvas.height = h;
       // Keep canvas visually filling container; your CSS should handle actual positioning
@@ -458,13 +951,51 @@ class VisualizerApp {
       this.overlayCanvas.height = h;
     }
 
-    if (this.gl) {
-      this.gl.viewport(0, 0, w, h);
+    this.layers.resize(w, h, dpr, rs);
+    if (this.renderMode === 'worker') this.renderWorker.resize(w, h, dpr, rs);
+  }
+
+  // Why the layers can't render in the worker right now ('' when they can)
+  _renderWorkerBlocker() {
+    if (!RenderWorker.isSupported()) return 'not supported by this browser';
+    if (this._renderWorkerFailed) return 'worker failed (see diagnostics)';
+    if (this.offline) return 'exporting';
+    if (this.recorder.recording) return 'recording';
+    const layer = this.layers.layers.find((l) =>
+      !getVisualizerById(l.visId)?.workerSafe || this.plugins.isPlugin(l.visId));
+    if (layer) return `${getVisualizerById(layer.visId)?.name || layer.visId} is not worker-safe`;
+    return '';
+  }
+
+  /**
+   * Move rendering into the worker or back, as settings.renderWorker and the layers allow.
+   * A canvas handed to the worker can't be drawn on again, so every switch replaces it
+   * (and visualizers start over).
+   */
+  _updateRenderMode() {
+    const blocker = this.settings.renderWorker ? this._renderWorkerBlocker() : '';
+    const mode = this.settings.renderWorker && !blocker ? 'worker' : 'main';
+
+    const state = !this.settings.renderWorker ? '' : blocker ? `Main thread: ${blocker}` : 'Rendering in worker';
+    if (state !== this._renderModeState) {
+      this._renderModeState = state;
+      const el = document.getElementById('render-worker-state');
+      if (el) el.textContent = state;
     }
 
-    if (this.currentVisualizer) {
-      this.currentVisualizer.resize(w, h, dpr, rs);
+    if (mode === this.renderMode) return;
+    this.renderMode = mode;
+    if (mode === 'worker') {
+      this.layers.detach();
+      this.createMainCanvas(true);
+      this.renderWorker.start(this.mainCanvas);
+    } else {
+      this.renderWorker.stop();
+      this.createMainCanvas();
+      this.post.reset();
+      this.layers.attach({ audio: this.audio }, this.settings);
     }
+    this.resize();
   }
 
   setStatus(msg) {
@@ -491,7 +1022,11 @@ class VisualizerApp {
       const file = e.target.files?.[0];
       if (!file) return;
 
+      if (this.audioEl) this.audioEl.pause();
+
       const audioEl = new Audio(URL.createObjectURL(file));
+      this.audioEl = audioEl;
+      this.audioFile = file;
       try {
         await audioEl.play();
       } catch (_) {
@@ -500,6 +1035,7 @@ class VisualizerApp {
 
       await this.audio.init(audioEl);
       this.setStatus('Playing: ' + file.name);
+      this._restoreTimeline();
 
       if (!this.settings.songTitle) {
         this.settings.songTitle = file.name.replace(/\.[^/.]+$/, '');
@@ -512,58 +1048,1014 @@ class VisualizerApp {
   }
 
   render() {
+    // Offline export owns the frame clock; endOfflineRender() restarts the loop
+    if (this.offline) return;
+
+    requestAnimationFrame(() => this.render());
+    this._updateRenderMode();
+
+    // RAF runs at the display rate; skip callbacks until the next targetFPS frame is due
     const now = performance.now();
+    const interval = this.settings.targetFPS > 0 ? 1000 / this.settings.targetFPS : 0;
+    if (now < this._nextFrame - FRAME_SLACK) return;
+    this._nextFrame += interval;
+    if (this._nextFrame < now) this._nextFrame = now + interval;
+
     const dt = (now - this.lastTime) / 1000;
     this.lastTime = now;
 
     this.frameTimes.push(dt * 1000);
     if (this.frameTimes.length > 60) this.frameTimes.shift();
 
-    // Build audio frame with bands + params
+    this.renderFrame(dt);
+    this.recorder.captureFrame();
+
+    this.workTimes.push(performance.now() - now);
+    if (this.workTimes.length > 60) this.workTimes.shift();
+
+    if (this.settings.autoQuality &&
+        this.governor.update(dt, this.getAverageFrameTime(), this.getAverageWorkTime(), this.settings)) {
+      this.resize();
+    }
+  }
+
+  /**
+   * Update + render one frame at the given dt (used by the RAF loop and offline export).
+   */
+  renderFrame(dt) {
+    // Automation only drives settings while the track plays, so paused edits can be keyed
+    if (this.offline || (this.audioEl && !this.audioEl.paused)) {
+      this.timeline.apply(this.settings, this.getMediaTime());
+    }
+
+    // One analysis snapshot per frame; visualizers' getLogBands() calls read from it
+    const snapshot = this.audio.beginFrame(dt);
+    const onsets = snapshot.onsets;
+    const tempo = snapshot.tempo;
     const audioFrame = {
-      level: this.audio.getLevel(),
-      bands: this.audio.getBands(),
-      audioParams: {
-        freqMin: this.settings.freqMin,
-        freqMax: this.settings.freqMax,
-        logCurve: this.settings.logCurve,
-        bassTame: this.settings.bassTame,
-        smoothing: this.settings.smoothing,
-        gain: this.settings.gain,
-        compress: this.settings.compress,
-        tilt: this.settings.tilt,
-        attack: this.settings.attack,
-        release: this.settings.release
-      }
+      level: snapshot.level,
+      bands: snapshot.bands,
+      stereo: snapshot.stereo,
+      beat: onsets.beat,
+      beatStrength: onsets.beatStrength,
+      onsets: onsets.bands,
+      bpm: tempo.bpm,
+      beatPhase: tempo.beatPhase,
+      beatPosition: tempo.beatPosition,
+      beatInBar: tempo.beatInBar,
+      barPhase: tempo.barPhase,
+      bar: tempo.bar,
+      audioParams: this._audioParams()
     };
 
-    // Clear main canvas
-    if (this.gl) {
-      const c = this._hexToRgb(this.settings.bgColor);
-      this.gl.clearColor(c.r, c.g, c.b, this.settings.bgAlpha);
-      this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
-    } else if (this.ctx2d) {
-      this.ctx2d.fillStyle = this.settings.bgColor;
-      this.ctx2d.fillRect(0, 0, this.mainCanvas.width, this.mainCanvas.height);
+    // Modulation lands on top of the UI/timeline values; audio params pick up modulated settings
+    if (this.modMatrix.routes.length) {
+      this.modMatrix.process(dt, audioFrame, () => this.audio.getLogBands(MOD_BAND_COUNT, audioFrame.audioParams));
+      this.modMatrix.applySettings(this.settings);
+      audioFrame.audioParams = this._audioParams();
     }
 
-    // Update & render visualizer
-    if (this.currentVisualizer) {
-      try {
-        this.currentVisualizer.update(dt, audioFrame);
-        this.currentVisualizer.render();
-      } catch (e) {
-        console.error(e);
-        this.setStatus('Render error (see console)');
-      }
+    // Scene cycling decides before drawing, so the switch frame already transitions
+    if (this.playlist.update(dt, audioFrame)) this.playScene(this.playlist.nextIndex());
+
+    if (this.renderMode === 'worker') {
+      // The worker draws background, layers and post effects; only the overlay stays here
+      this.renderWorker.frame(dt, audioFrame, this.audio, this.layers, this.settings, this.modMatrix);
+      this._refreshVisStatus();
+      this.drawOverlay();
+      return;
+    }
+
+    // Background once under the whole stack (layers render on transparency)
+    const ctx = this.ctx2d;
+    ctx.clearRect(0, 0, this.mainCanvas.width, this.mainCanvas.height);
+    ctx.globalAlpha = this.settings.bgAlpha;
+    ctx.fillStyle = this.settings.bgColor;
+    ctx.fillRect(0, 0, this.mainCanvas.width, this.mainCanvas.height);
+    ctx.globalAlpha = 1;
+
+    // Update, render & composite every layer
+    this.layers.render(dt, audioFrame, ctx);
+    this._refreshVisStatus();
+
+    // Post effects run on the finished frame, so they look the same for every visualizer
+    this.post.process(ctx, dt, audioFrame, this.settings);
+    if (this.post.error && !this._postErrorReported) {
+      this._postErrorReported = true;
+      this.addDiagnostic(this.post.error.message);
     }
 
     // Draw overlay on separate canvas (works for both 2D and WebGL)
     this.drawOverlay();
+  }
+
+  _audioParams() {
+    return {
+      freqMin: this.settings.freqMin,
+      freqMax: this.settings.freqMax,
+      logCurve: this.settings.logCurve,
+      bassTame: this.settings.bassTame,
+      smoothing: this.settings.smoothing,
+      gain: this.settings.gain,
+      compress: this.settings.compress,
+      tilt: this.settings.tilt,
+      attackTime: this.settings.attackTime,
+      releaseTime: this.settings.releaseTime
+    };
+  }
 
+  /**
+   * Flatten main + overlay canvases into a target 2D context (export/recording).
+   */
+  drawComposite(ctx, width, height) {
+    ctx.drawImage(this.mainCanvas, 0, 0, width, height);
+    if (this.overlayCanvas) ctx.drawImage(this.overlayCanvas, 0, 0, width, height);
+  }
+
+  /**
+   * Swap in an offline analyzer and stop the RAF loop; visualizers are re-initialized
+   * so their audio service points at the offline source.
+   */
+  beginOfflineRender(analyzer) {
+    this.offline = true;
+    this._liveAudio = this.audio;
+    this.audio = analyzer;
+    // Export frames are drawn on the main thread (leaving worker mode attaches the analyzer)
+    if (this.renderMode === 'worker') this._updateRenderMode();
+    else this.layers.attach({ audio: this.audio }, this.settings);
+    this.post.reset();
+  }
+
+  endOfflineRender() {
+    this.audio = this._liveAudio;
+    this._liveAudio = null;
+    this.offline = false;
+    this.layers.attach({ audio: this.audio }, this.settings);
+
+    this.lastTime = performance.now();
     requestAnimationFrame(() => this.render());
   }
 
+  async exportVideo() {
+    const btn = document.getElementById('btn-export');
+
+    if (this.exporter.running) {
+      this.exporter.cancel();
+      return;
+    }
+    if (!VideoExporter.isSupported()) {
+      this.setStatus('Export needs WebCodecs (VideoEncoder/AudioEncoder)');
+      return;
+    }
+    if (!this.audioFile) {
+      this.setStatus('Load an audio file to export');
+      return;
+    }
+    if (this.recorder.recording) {
+      this.setStatus('Stop recording before exporting');
+      return;
+    }
+
+    const fps = parseInt(document.getElementById('export-fps')?.value || '30', 10);
+    if (this.audioEl) this.audioEl.pause();
+    if (btn) btn.textContent = 'Cancel Export';
+
+    try {
+      const blob = await this.exporter.export(this.audioFile, {
+        fps,
+        onProgress: (p) => this.setStatus(`Exporting: ${Math.round(p * 100)}%`)
+      });
+      if (blob) {
+        this._downloadBlob(blob, this.audioFile.name.replace(/\.[^/.]+$/, '') + '.webm');
+        this.setStatus('Export complete');
+      } else {
+        this.setStatus('Export cancelled');
+      }
+    } catch (e) {
+      console.error(e);
+      this.setStatus('Export failed: ' + e.message);
+    } finally {
+      if (btn) btn.textContent = 'Export Video';
+    }
+  }
+
+  async toggleRecording() {
+    const btn = document.getElementById('btn-record');
+
+    if (this.recorder.recording) {
+      const blob = await this.recorder.stop();
+      if (btn) {
+        btn.textContent = '● Record';
+        btn.classList.remove('active');
+      }
+      if (blob) {
+        const base = this.settings.songTitle || 'visualizer';
+        this._downloadBlob(blob, `${base}-${Date.now()}.webm`);
+        this.setStatus('Recording saved');
+      }
+      return;
+    }
+
+    if (!Recorder.isSupported()) {
+      this.setStatus('Recording not supported in this browser');
+      return;
+    }
+    if (this.exporter.running) {
+      this.setStatus('Cannot record during export');
+      return;
+    }
+
+    try {
+      this.recorder.start({ fps: this.settings.targetFPS || 60 });
+    } catch (e) {
+      console.error(e);
+      this.setStatus('Recording failed: ' + e.message);
+      return;
+    }
+    if (btn) {
+      btn.textContent = '■ Stop';
+      btn.classList.add('active');
+    }
+    this.setStatus(this.audio.isInitialized ? 'Recording...' : 'Recording (no audio source)');
+  }
+
+  // --- Plugins ---
+
+  loadPluginFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.js,.mjs,text/javascript';
+    input.onchange = (e) => {
+      const file = e.target.files?.[0];
+      if (file) this._loadPlugin(() => this.plugins.loadFile(file), file.name);
+    };
+    input.click();
+  }
+
+  loadPluginURL(url) {
+    return this._loadPlugin(() => this.plugins.loadURL(url), url);
+  }
+
+  async _loadPlugin(load, source) {
+    let list;
+    try {
+      list = await load();
+    } catch (e) {
+      console.error(e);
+      this.addDiagnostic(`Plugin ${source}: ${e.message}`);
+      return;
+    }
+
+    list.forEach((v) => {
+      this._removeVisualizerUI(v.id); // reloading a plugin replaces its controls
+      this._addVisualizerUI(v);
+    });
+    // Layers showing a reloaded plugin pick up the new module
+    for (const layer of this.layers.layers) {
+      if (list.some((v) => v.id === layer.visId)) this.layers.setVisualizer(layer.id, layer.visId);
+    }
+    this.loadVisualizer(list[0].id);
+    this.setStatus('Plugin loaded: ' + list.map((v) => v.name).join(', '));
+  }
+
+  unloadPlugin(id) {
+    if (!this.plugins.isPlugin(id)) {
+      this.setStatus('Not a plugin: ' + (getVisualizerById(id)?.name || id));
+      return;
+    }
+    const name = getVisualizerById(id)?.name || id;
+    this.plugins.unload(id);
+    this._removeVisualizerUI(id);
+
+    // Layers showing it switch to the fallback
+    for (const layer of this.layers.layers) {
+      if (layer.visId === id) this.layers.setVisualizer(layer.id, this.layers.fallbackId);
+    }
+    this.selectLayer(this.selectedLayerId);
+    this.setStatus('Plugin unloaded: ' + name);
+  }
+
+  // Everything the built-ins get in setupUI(): settings defaults, selector entry, params, mod targets
+  _addVisualizerUI(v) {
+    this._addParamDefaults(v);
+    this._addVisualizerOption(v);
+    this._addVisParamControls(v);
+    this._addModTargetOptions(v);
+    this.refreshVisParamsUI();
+  }
+
+  _removeVisualizerUI(id) {
+    document.querySelectorAll('#vis-select option').forEach((opt) => {
+      if (opt.value === id) opt.remove();
+    });
+    document.querySelectorAll('#mod-target option').forEach((opt) => {
+      if (opt.value.startsWith(id + ':')) opt.remove();
+    });
+    this._removeVisParamControls(id);
+  }
+
+  _addVisualizerOption(v) {
+    const visSel = document.getElementById('vis-select');
+    if (!visSel) return;
+    const opt = document.createElement('option');
+    opt.value = v.id;
+    opt.textContent = v.name;
+    visSel.appendChild(opt);
+  }
+
+  // --- Diagnostics ---
+
+  reportVisualizerError({ visId, phase, error, disabled, fallback }) {
+    const name = getVisualizerById(visId)?.name || visId || 'Visualizer';
+    if (!disabled) {
+      this.addDiagnostic(`${name} ${phase} error: ${error?.message || error}`);
+      return;
+    }
+
+    const fallbackName = fallback ? getVisualizerById(fallback)?.name || fallback : null;
+    this.addDiagnostic(`${name} disabled after repeated errors` +
+      (fallbackName ? ` - switched to ${fallbackName}` : ' - layer hidden'));
+    this.selectLayer(this.selectedLayerId);
+  }
+
+  addDiagnostic(message) {
+    this.diagnostics.push({ time: new Date(), message });
+    if (this.diagnostics.length > MAX_DIAGNOSTICS) this.diagnostics.shift();
+    this.setStatus(message);
+    this.refreshDiagnosticsUI();
+  }
+
+  refreshDiagnosticsUI() {
+    const panel = document.getElementById('diagnostics');
+    const list = document.getElementById('diagnostics-list');
+    if (!panel || !list) return;
+    panel.style.display = this.diagnostics.length ? '' : 'none';
+    list.innerHTML = '';
+    for (const d of this.diagnostics) {
+      const row = document.createElement('div');
+      row.textContent = `${d.time.toLocaleTimeString()}  ${d.message}`;
+      list.appendChild(row);
+    }
+    list.scrollTop = list.scrollHeight;
+  }
+
+  // --- Playlist ---
+
+  /**
+   * Switch to a scene: the outgoing scene keeps any tweaks made while it was up, then the
+   * incoming scene's visualizer (with transition) and settings are applied.
+   */
+  playScene(index) {
+    const playlist = this.playlist;
+    if (!playlist.scenes[index]) return;
+    if (playlist.scenes[playlist.index]) {
+      this.modMatrix.restore(this.settings); // scenes keep the unmodulated values
+      playlist.capture(playlist.index, this.currentVisId, this.settings);
+    }
+
+    const scene = playlist.enter(index);
+    this.loadVisualizer(scene.visualizer);
+    for (const [key, value] of Object.entries(scene.settings)) {
+      if (!(key in this.settings)) continue;
+      this.settings[key] = Array.isArray(value) ? value.slice() : value;
+    }
+
+    this._selectedScene = index;
+    this.syncUI();
+    this.refreshPlaylistUI();
+    this.setStatus(`Scene ${index + 1}: ${getVisualizerById(scene.visualizer)?.name || scene.visualizer}`);
+  }
+
+  togglePlaylist() {
+    const playlist = this.playlist;
+    if (playlist.running) {
+      playlist.stop();
+      this.setStatus('Playlist stopped');
+    } else if (playlist.start()) {
+      this.playScene(this._selectedScene >= 0 ? this._selectedScene : 0);
+    } else {
+      this.setStatus('Add scenes to the playlist first');
+    }
+    this.refreshPlaylistUI();
+  }
+
+  _setupPlaylistUI() {
+    const playlist = this.playlist;
+
+    document.getElementById('scene-list')?.addEventListener('change', (e) => {
+      this._selectedScene = parseInt(e.target.value, 10);
+    });
+    document.getElementById('scene-list')?.addEventListener('dblclick', () => {
+      if (this._selectedScene >= 0) this.playScene(this._selectedScene);
+    });
+    document.getElementById('btn-scene-add')?.addEventListener('click', () => {
+      this.modMatrix.restore(this.settings);
+      this._selectedScene = playlist.add(this.currentVisId, this.settings);
+      this.refreshPlaylistUI();
+    });
+    document.getElementById('btn-scene-update')?.addEventListener('click', () => {
+      this.modMatrix.restore(this.settings);
+      playlist.capture(this._selectedScene, this.currentVisId, this.settings);
+      this.refreshPlaylistUI();
+    });
+    document.getElementById('btn-scene-remove')?.addEventListener('click', () => {
+      playlist.remove(this._selectedScene);
+      this._selectedScene = Math.min(this._selectedScene, playlist.scenes.length - 1);
+      this.refreshPlaylistUI();
+    });
+    document.getElementById('btn-scene-up')?.addEventListener('click', () => {
+      playlist.move(this._selectedScene, -1);
+      if (this._selectedScene > 0) this._selectedScene--;
+      this.refreshPlaylistUI();
+    });
+    document.getElementById('btn-scene-down')?.addEventListener('click', () => {
+      playlist.move(this._selectedScene, 1);
+      if (this._selectedScene < playlist.scenes.length - 1) this._selectedScene++;
+      this.refreshPlaylistUI();
+    });
+    document.getElementById('btn-playlist-play')?.addEventListener('click', () => this.togglePlaylist());
+    document.getElementById('btn-playlist-next')?.addEventListener('click', () => {
+      if (playlist.scenes.length) this.playScene(playlist.nextIndex());
+    });
+
+    // Cycling options live on the playlist (not in settings, so scenes don't capture them)
+    const modeSel = document.getElementById('playlist-mode');
+    modeSel?.addEventListener('change', (e) => {
+      playlist.mode = e.target.value;
+      playlist.save();
+      this.refreshPlaylistUI();
+    });
+    const options = [
+      ['playlist-interval', 'playlist-interval-val', 'interval'],
+      ['playlist-bars', 'playlist-bars-val', 'bars'],
+      ['playlist-sensitivity', 'playlist-sensitivity-val', 'sensitivity']
+    ];
+    for (const [elId, valElId, key] of options) {
+      const valEl = document.getElementById(valElId);
+      document.getElementById(elId)?.addEventListener('input', (e) => {
+        playlist[key] = parseFloat(e.target.value);
+        if (valEl) valEl.textContent = e.target.value;
+        playlist.save();
+      });
+    }
+
+    this.refreshPlaylistUI();
+  }
+
+  refreshPlaylistUI() {
+    const playlist = this.playlist;
+    const list = document.getElementById('scene-list');
+    if (list) {
+      list.innerHTML = '';
+      playlist.scenes.forEach((scene, i) => {
+        const opt = document.createElement('option');
+        opt.value = i;
+        opt.textContent = `${i === playlist.index ? '▶ ' : ''}${i + 1}. ` +
+          (getVisualizerById(scene.visualizer)?.name || scene.visualizer);
+        list.appendChild(opt);
+      });
+      list.value = this._selectedScene >= 0 ? String(this._selectedScene) : '';
+    }
+
+    const setValue = (elId, valElId, value) => {
+      const el = document.getElementById(elId);
+      if (el) el.value = value;
+      const valEl = document.getElementById(valElId);
+      if (valEl) valEl.textContent = value;
+    };
+    setValue('playlist-mode', null, playlist.mode);
+    setValue('playlist-interval', 'playlist-interval-val', playlist.interval);
+    setValue('playlist-bars', 'playlist-bars-val', playlist.bars);
+    setValue('playlist-sensitivity', 'playlist-sensitivity-val', playlist.sensitivity);
+
+    const btn = document.getElementById('btn-playlist-play');
+    if (btn) {
+      btn.textContent = playlist.running ? '■ Stop' : '▶ Play';
+      btn.classList.toggle('active', playlist.running);
+    }
+  }
+
+  // --- Timeline ---
+
+  /**
+   * Playback position of the track (the export position while exporting).
+   */
+  getMediaTime() {
+    if (this.offline) return this.audio.currentTime;
+    return this.audioEl ? this.audioEl.currentTime : 0;
+  }
+
+  /**
+   * Keyframe the selected setting at the current time with its current value.
+   */
+  addTimelineKey() {
+    const path = document.getElementById('timeline-track')?.value;
+    if (!path) return;
+    const easing = document.getElementById('timeline-easing')?.value || 'linear';
+    this.modMatrix.restore(this.settings); // key the unmodulated value
+    const dot = path.indexOf('.');
+    const value = dot < 0 ? this.settings[path] : this.settings[path.slice(0, dot)][parseInt(path.slice(dot + 1), 10)];
+
+    const time = Math.round(this.getMediaTime() * 100) / 100;
+    this.timeline.setKey(path, time, value, easing);
+    this._saveTimeline();
+    this.refreshTimelineUI();
+    this.setStatus(`Key: ${path} @ ${time.toFixed(2)}s`);
+  }
+
+  _setupTimelineUI() {
+    const trackSel = document.getElementById('timeline-track');
+    if (trackSel) {
+      automatablePaths(this.settings).forEach((path) => {
+        const opt = document.createElement('option');
+        opt.value = path;
+        opt.textContent = path;
+        trackSel.appendChild(opt);
+      });
+    }
+    const easingSel = document.getElementById('timeline-easing');
+    if (easingSel) {
+      Object.keys(EASINGS).forEach((name) => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = name;
+        easingSel.appendChild(opt);
+      });
+    }
+
+    document.getElementById('timeline-enabled')?.addEventListener('change', (e) => {
+      this.timeline.enabled = e.target.checked;
+      this._saveTimeline();
+    });
+    document.getElementById('btn-timeline-key')?.addEventListener('click', () => this.addTimelineKey());
+    document.getElementById('btn-timeline-remove')?.addEventListener('click', () => {
+      const key = this._selectedTimelineKey();
+      if (!key) return;
+      this.timeline.removeKey(key.path, key.time);
+      this._saveTimeline();
+      this.refreshTimelineUI();
+    });
+    document.getElementById('btn-timeline-clear')?.addEventListener('click', () => {
+      if (!confirm('Remove all keyframes?')) return;
+      this.timeline.clear();
+      this._saveTimeline();
+      this.refreshTimelineUI();
+    });
+
+    // Double-click a key to jump there (and preview the automated values)
+    document.getElementById('timeline-keys')?.addEventListener('dblclick', () => {
+      const key = this._selectedTimelineKey();
+      if (!key || !this.audioEl) return;
+      this.audioEl.currentTime = key.time;
+      this.timeline.apply(this.settings, key.time);
+      this.syncUI();
+    });
+
+    document.getElementById('btn-timeline-export')?.addEventListener('click', () => {
+      const blob = new Blob([JSON.stringify(this.timeline.toJSON(), null, 2)], { type: 'application/json' });
+      const base = this.audioFile ? this.audioFile.name.replace(/\.[^/.]+$/, '') : 'timeline';
+      this._downloadBlob(blob, `${base}.timeline.json`);
+    });
+    document.getElementById('btn-timeline-import')?.addEventListener('click', () => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = 'application/json,.json';
+      input.onchange = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        try {
+          this.timeline.load(JSON.parse(await file.text()));
+          this._saveTimeline();
+          this.refreshTimelineUI();
+          this.setStatus('Timeline imported');
+        } catch (err) {
+          console.error(err);
+          this.setStatus('Timeline import failed: ' + err.message);
+        }
+      };
+      input.click();
+    });
+
+    this.refreshTimelineUI();
+  }
+
+  refreshTimelineUI() {
+    const list = document.getElementById('timeline-keys');
+    if (list) {
+      list.innerHTML = '';
+      this.timeline.listKeys().forEach((k) => {
+        const opt = document.createElement('option');
+        opt.value = `${k.path}@${k.time}`;
+        opt.textContent = `${k.time.toFixed(2)}s  ${k.path} = ${typeof k.value === 'number' ? +k.value.toFixed(3) : k.value} (${k.easing})`;
+        list.appendChild(opt);
+      });
+    }
+    const enabledEl = document.getElementById('timeline-enabled');
+    if (enabledEl) enabledEl.checked = this.timeline.enabled;
+  }
+
+  _selectedTimelineKey() {
+    const value = document.getElementById('timeline-keys')?.value;
+    if (!value) return null;
+    const at = value.lastIndexOf('@');
+    return { path: value.slice(0, at), time: parseFloat(value.slice(at + 1)) };
+  }
+
+  // Timelines belong to a track: keep one per audio file name
+  _timelineStorageKey() {
+    return this.audioFile ? 'visualizer.timeline:' + this.audioFile.name : null;
+  }
+
+  _saveTimeline() {
+    const key = this._timelineStorageKey();
+    if (!key) return;
+    try {
+      if (this.timeline.isEmpty) localStorage.removeItem(key);
+      else localStorage.setItem(key, JSON.stringify(this.timeline.toJSON()));
+    } catch (e) {
+      console.error(e);
+    }
+  }
+
+  _restoreTimeline() {
+    const key = this._timelineStorageKey();
+    if (!key) return;
+    // Start empty so the previous track's keyframes never carry over (or get saved under this key)
+    this.timeline.clear();
+    try {
+      const stored = localStorage.getItem(key);
+      if (stored) this.timeline.load(JSON.parse(stored));
+    } catch (e) {
+      this.timeline.clear();
+      console.error(e);
+    }
+    this.refreshTimelineUI();
+  }
+
+  // --- Post effects ---
+
+  _setupPostUI() {
+    for (const name of Object.keys(POST_EFFECTS)) {
+      this._bindSlider(`post-${name}`, name, `post-${name}-val`, () => this.refreshPostUI());
+    }
+    this._bindSlider('post-bloom-threshold', 'bloomThreshold', 'post-bloom-threshold-val');
+    this._bindSlider('post-bloom-radius', 'bloomRadius', 'post-bloom-radius-val');
+    this._bindSlider('post-feedback-zoom', 'feedbackZoom', 'post-feedback-zoom-val');
+
+    document.getElementById('btn-post-up')?.addEventListener('click', () => this.movePostEffect(-1));
+    document.getElementById('btn-post-down')?.addEventListener('click', () => this.movePostEffect(1));
+
+    this._uiSync.push(() => this.refreshPostUI());
+    this.refreshPostUI();
+  }
+
+  /**
+   * Move the effect selected in the order list earlier (-1) or later (+1) in the chain.
+   */
+  movePostEffect(delta) {
+    const name = document.getElementById('post-order')?.value;
+    const order = this.settings.postOrder;
+    const index = order.indexOf(name);
+    const target = index + delta;
+    if (index < 0 || target < 0 || target >= order.length) return;
+    [order[index], order[target]] = [order[target], order[index]];
+    this.refreshPostUI();
+  }
+
+  refreshPostUI() {
+    const list = document.getElementById('post-order');
+    if (!list) return;
+    const selected = list.value;
+    list.innerHTML = '';
+    this.settings.postOrder.forEach((name, i) => {
+      if (!POST_EFFECTS[name]) return;
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = `${i + 1}. ${POST_EFFECTS[name]}` + (this.settings[name] > 0 ? '' : ' (off)');
+      list.appendChild(opt);
+    });
+    list.value = selected;
+  }
+
+  // --- Modulation ---
+
+  addModRoute() {
+    this.modMatrix.add({ target: document.getElementById('mod-target')?.value || 'glowAmount' });
+    this._selectedRoute = this.modMatrix.routes.length - 1;
+    this.refreshModulationUI();
+  }
+
+  removeModRoute() {
+    if (!this.modMatrix.routes[this._selectedRoute]) return;
+    this.modMatrix.remove(this._selectedRoute);
+    this._selectedRoute = Math.min(this._selectedRoute, this.modMatrix.routes.length - 1);
+    this.refreshModulationUI();
+  }
+
+  _setupModulationUI() {
+    const fillSelect = (id, entries) => {
+      const sel = document.getElementById(id);
+      if (!sel) return;
+      for (const [value, label] of entries) {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = label;
+        sel.appendChild(opt);
+      }
+    };
+    fillSelect('mod-source', MOD_SOURCES.map((s) => [s, s]));
+    fillSelect('mod-shape', LFO_SHAPES.map((s) => [s, s]));
+
+    // Targets: numeric settings, then each visualizer's declared parameters
+    fillSelect('mod-target', Object.keys(this.settings)
+      .filter((key) => typeof this.settings[key] === 'number')
+      .map((key) => [key, key]));
+    visualizers.forEach((v) => this._addModTargetOptions(v));
+
+    document.getElementById('mod-routes')?.addEventListener('change', (e) => {
+      this._selectedRoute = parseInt(e.target.value, 10);
+      this.refreshModulationUI();
+    });
+    document.getElementById('btn-mod-add')?.addEventListener('click', () => this.addModRoute());
+    document.getElementById('btn-mod-remove')?.addEventListener('click', () => this.removeModRoute());
+
+    // Controls edit the selected route
+    const fields = [
+      ['mod-enabled', 'enabled', (el) => el.checked],
+      ['mod-source', 'source', (el) => el.value],
+      ['mod-band', 'band', (el) => parseInt(el.value, 10)],
+      ['mod-rate', 'rate', (el) => parseFloat(el.value)],
+      ['mod-shape', 'shape', (el) => el.value],
+      ['mod-target', 'target', (el) => el.value],
+      ['mod-depth', 'depth', (el) => parseFloat(el.value) || 0],
+      ['mod-offset', 'offset', (el) => parseFloat(el.value) || 0],
+      ['mod-curve', 'curve', (el) => parseFloat(el.value)],
+      ['mod-smoothing', 'smoothing', (el) => parseFloat(el.value)]
+    ];
+    for (const [elId, key, read] of fields) {
+      const el = document.getElementById(elId);
+      el?.addEventListener(el.type === 'range' ? 'input' : 'change', () => {
+        const route = this.modMatrix.routes[this._selectedRoute];
+        if (!route) return;
+        route[key] = read(el);
+        this.refreshModulationUI();
+      });
+    }
+
+    this.refreshModulationUI();
+  }
+
+  _addModTargetOptions(v) {
+    const sel = document.getElementById('mod-target');
+    if (!sel) return;
+    for (const [name, def] of Object.entries(v.modTargets || {})) {
+      const opt = document.createElement('option');
+      opt.value = `${v.id}:${name}`;
+      opt.textContent = `${v.name}: ${def.label || name}`;
+      sel.appendChild(opt);
+    }
+  }
+
+  refreshModulationUI() {
+    const routes = this.modMatrix.routes;
+    const list = document.getElementById('mod-routes');
+    if (list) {
+      list.innerHTML = '';
+      routes.forEach((r, i) => {
+        const source = r.source === 'band' ? `band ${r.band}` : r.source === 'lfo' ? `lfo ${r.shape} ${r.rate}Hz` : r.source;
+        const opt = document.createElement('option');
+        opt.value = i;
+        opt.textContent = `${source} → ${r.target || '(none)'}  ×${r.depth}` + (r.enabled ? '' : ' (off)');
+        list.appendChild(opt);
+      });
+      list.value = routes[this._selectedRoute] ? this._selectedRoute : '';
+    }
+
+    const route = routes[this._selectedRoute];
+    if (!route) return;
+
+    const setValue = (elId, value) => {
+      const el = document.getElementById(elId);
+      if (!el) return;
+      if (el.type === 'checkbox') el.checked = value;
+      else el.value = value;
+      const valEl = document.getElementById(elId + '-val');
+      if (valEl) valEl.textContent = value;
+    };
+    setValue('mod-enabled', route.enabled);
+    setValue('mod-source', route.source);
+    setValue('mod-band', route.band);
+    setValue('mod-rate', route.rate);
+    setValue('mod-shape', route.shape);
+    setValue('mod-target', route.target);
+    setValue('mod-depth', route.depth);
+    setValue('mod-offset', route.offset);
+    setValue('mod-curve', route.curve);
+    setValue('mod-smoothing', route.smoothing);
+  }
+
+  // --- Presets ---
+
+  /**
+   * Snapshot the active visualizer + settings as a JSON-safe preset object.
+   */
+  getPresetData() {
+    this.modMatrix.restore(this.settings); // save the unmodulated values
+    const settings = {};
+    for (const [key, value] of Object.entries(this.settings)) {
+      if (value instanceof HTMLImageElement) settings[key] = imageToDataURL(value);
+      else if (Array.isArray(value)) settings[key] = value.slice();
+      else settings[key] = value;
+    }
+    const data = { version: PRESET_VERSION, visualizer: this.currentVisId, layers: this.layers.toJSON(), settings };
+    if (!this.timeline.isEmpty) data.timeline = this.timeline.toJSON();
+    if (this.modMatrix.routes.length) data.modulation = this.modMatrix.toJSON();
+    return data;
+  }
+
+  /**
+   * Apply a preset object. Unknown keys are ignored so old/new presets stay loadable.
+   */
+  async applyPresetData(data) {
+    const incoming = data.settings || {};
+    for (const key of Object.keys(this.settings)) {
+      if (!(key in incoming)) continue;
+      const value = incoming[key];
+      if (key === 'logoImage' || key === 'albumImage') {
+        this.settings[key] = await dataURLToImage(value);
+      } else if (Array.isArray(this.settings[key])) {
+        if (Array.isArray(value)) this.settings[key] = value.slice();
+      } else {
+        this.settings[key] = value;
+      }
+    }
+
+    if (data.timeline) {
+      this.timeline.load(data.timeline);
+      this._saveTimeline();
+      this.refreshTimelineUI();
+    }
+
+    this.modMatrix.load(data.modulation);
+    this._selectedRoute = this.modMatrix.routes.length ? 0 : -1;
+    this.refreshModulationUI();
+
+    if (Array.isArray(data.layers)) {
+      this.setLayers(data.layers);
+    } else if (data.visualizer && getVisualizerById(data.visualizer)) {
+      this.setLayers([{ visualizer: data.visualizer }]);
+    }
+
+    this.syncUI();
+    this.resize();
+  }
+
+  refreshPresetList(selected) {
+    const sel = document.getElementById('preset-select');
+    if (!sel) return;
+    sel.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = '— Presets —';
+    sel.appendChild(none);
+    this.presets.list().forEach((name) => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      sel.appendChild(opt);
+    });
+    sel.value = selected || '';
+  }
+
+  savePreset() {
+    const nameEl = document.getElementById('preset-name');
+    const name = (nameEl?.value || '').trim() || document.getElementById('preset-select')?.value;
+    if (!name) {
+      this.setStatus('Enter a preset name');
+      return;
+    }
+    try {
+      this.presets.save(name, this.getPresetData());
+    } catch (e) {
+      console.error(e);
+      this.setStatus('Preset storage full (try smaller images)');
+      return;
+    }
+    if (nameEl) nameEl.value = '';
+    this.refreshPresetList(name);
+    this.setStatus('Preset saved: ' + name);
+  }
+
+  async loadPreset(name) {
+    const data = this.presets.get(name);
+    if (!data) return;
+    try {
+      await this.applyPresetData(data);
+      this.setStatus('Preset loaded: ' + name);
+    } catch (e) {
+      console.error(e);
+      this.setStatus('Preset load failed: ' + e.message);
+    }
+  }
+
+  deletePreset() {
+    const name = document.getElementById('preset-select')?.value;
+    if (!name) return;
+    this.presets.remove(name);
+    this.refreshPresetList();
+    this.setStatus('Preset deleted: ' + name);
+  }
+
+  exportPreset() {
+    const name = document.getElementById('preset-select')?.value || 'preset';
+    const data = { ...this.getPresetData(), name };
+    const blob = new Blob([this.presets.toJSON(data)], { type: 'application/json' });
+    this._downloadBlob(blob, `${name}.json`);
+  }
+
+  importPreset() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+
+    input.onchange = async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      try {
+        const data = this.presets.parse(await file.text());
+        const name = data.name || file.name.replace(/\.[^/.]+$/, '');
+        await this.applyPresetData(data);
+        this.presets.save(name, data);
+        this.refreshPresetList(name);
+        this.setStatus('Preset imported: ' + name);
+      } catch (err) {
+        console.error(err);
+        this.setStatus('Preset import failed: ' + err.message);
+      }
+    };
+
+    input.click();
+  }
+
+  // --- URL state ---
+
+  /**
+   * Merge settings + visualizer/layers from a location hash. Returns true if anything applied.
+   * With reset, settings start from the defaults, so a new hash replaces the previous one's
+   * settings instead of merging into them.
+   */
+  _applyUrlState(hash, reset = false) {
+    if (!hash || hash === '#') return false;
+    const { visualizer, layers, settings } = this.urlState.decode(hash);
+
+    if (reset) {
+      this.urlState.resetSettings(this.settings);
+      this.settings.gradientEnabled = this.settings.colorMode === 'gradient';
+    }
+
+    for (const [key, value] of Object.entries(settings)) {
+      if (Array.isArray(this.settings[key]) && Array.isArray(value)) {
+        value.forEach((v, i) => (this.settings[key][i] = v));
+      } else {
+        this.settings[key] = value;
+      }
+    }
+    if ('colorMode' in settings) this.settings.gradientEnabled = this.settings.colorMode === 'gradient';
+    if (layers) {
+      this.setLayers(layers);
+    } else if (visualizer && getVisualizerById(visualizer)) {
+      this.currentVisId = visualizer;
+      this.setLayers([{ visualizer }]);
+    }
+
+    return true;
+  }
+
+  getShareLink() {
+    this.modMatrix.restore(this.settings);
+    const hash = this.urlState.encode(this.currentVisId, this.settings, this.layers.toJSON());
+    return `${location.origin}${location.pathname}${location.search}#${hash}`;
+  }
+
+  async copyShareLink() {
+    const url = this.getShareLink();
+    history.replaceState(null, '', url);
+    try {
+      await navigator.clipboard.writeText(url);
+      this.setStatus('Link copied to clipboard');
+    } catch (_) {
+      this.setStatus('Link is in the address bar');
+    }
+  }
+
+  _downloadBlob(blob, filename) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
   drawOverlay() {
     const ctx = this.overlayCtx;
     if (!ctx) return;
@@ -668,15 +2160,26 @@ class VisualizerApp {
     return this.frameTimes.reduce((a, b) => a + b) / this.frameTimes.length;
   }
 
-  get particleSystem() {
-    return { particleCount: this.currentVisualizer ? 1 : 0 };
+  getAverageWorkTime() {
+    if (this.workTimes.length === 0) return 0;
+    return this.workTimes.reduce((a, b) => a + b) / this.workTimes.length;
   }
 
-  _hexToRgb(hex) {
-    const r = parseInt(hex.slice(1, 3), 16) / 255;
-    const g = parseInt(hex.slice(3, 5), 16) / 255;
-    const b = parseInt(hex.slice(5, 7), 16) / 255;
-    return { r, g, b };
+  /**
+   * HUD line: internal resolution, plus the governor's state while autoQuality is on.
+   */
+  getResolutionStatus() {
+    if (!this.renderWidth) return '--';
+    let text = `${this.renderWidth}×${this.renderHeight}`;
+    if (this.settings.autoQuality) {
+      const g = this.governor;
+      text += g.isReduced ? ` (auto ${Math.round(g.renderFactor * 100)}%, ${g.state})` : ` (auto, ${g.state})`;
+    }
+    return text;
+  }
+
+  get particleSystem() {
+    return { particleCount: this.layers.layers.length };
   }
 }
 
@@ -1,8 +1,14 @@
 // Audio Analyzer - Advanced frequency extraction with perceptual weighting
+// The app takes one snapshot per frame (beginFrame); every getter reads that snapshot,
+// so envelopes advance once per frame no matter how often a visualizer asks.
+import { OnsetDetector } from './onset.js';
+import { TempoTracker } from './tempo.js';
+
 export class AudioAnalyzer {
     constructor() {
         this.audioContext = null;
         this.analyser = null;
+        this.channelAnalysers = []; // [left, right] behind a ChannelSplitterNode
         this.dataArray = null;
         this.floatArray = null;
         this.source = null;
@@ -10,9 +16,33 @@ export class AudioAnalyzer {
         this.sampleRate = 44100;
         
         // Preallocated buffers (avoid per-frame alloc)
-        this._rawBands = new Map();      // bandCount -> Float32Array
-        this._smoothedBands = new Map(); // bandCount -> Float32Array
-        this._peakBands = new Map();     // bandCount -> Float32Array (for attack/release)
+        // Band state is keyed by bandCount (mix) or 'bandCount:channel'
+        this._rawBands = new Map();      // key -> Float32Array
+        this._smoothedBands = new Map(); // key -> Float32Array
+        this._peakBands = new Map();     // key -> Float32Array (for attack/release)
+        this._bandFrame = new Map();     // key -> frame id the cached bands belong to
+        this._channelSpectra = [];       // per channel { data: Float32Array (dB), frame }
+        this._waveform = null;
+        this._waveFrame = -1;
+        this._timeDomain = new Map();    // channel -> { data: Float32Array, frame }
+        this._stereoRaw = { correlation: 0, width: 0 };
+
+        // Per-frame snapshot (see beginFrame)
+        this.frame = {
+            id: 0,
+            dt: 1 / 60,
+            level: 0,
+            bands: { bass: 0, mid: 0, treble: 0 },
+            stereo: { correlation: 0, width: 0 },
+            onsets: null,
+            tempo: null
+        };
+
+        // Beat / onset detection (spectral flux) and tempo clock
+        this.onsets = new OnsetDetector();
+        this.tempo = new TempoTracker();
+        this.frame.onsets = this.onsets.result;
+        this.frame.tempo = this.tempo.result;
     }
 
     async init(audioSource = 'microphone') {
@@ -36,36 +66,121 @@ export class AudioAnalyzer {
         }
         
         this.source.connect(this.analyser);
+
+        // Per-channel taps. The splitter's own channel settings are fixed ('discrete'), so a
+        // stereo gain in front of it up-mixes a mono source to identical L/R (as offline does)
+        const upmix = this.audioContext.createGain();
+        upmix.channelCount = 2;
+        upmix.channelCountMode = 'explicit';
+        upmix.channelInterpretation = 'speakers';
+        const splitter = this.audioContext.createChannelSplitter(2);
+        this.source.connect(upmix);
+        upmix.connect(splitter);
+        this.channelAnalysers = [0, 1].map((channel) => {
+            const analyser = this.audioContext.createAnalyser();
+            analyser.fftSize = this.analyser.fftSize;
+            analyser.smoothingTimeConstant = this.analyser.smoothingTimeConstant;
+            splitter.connect(analyser, channel);
+            return analyser;
+        });
+        this._channelSpectra = this.channelAnalysers.map(() => ({ data: new Float32Array(bufferLength), frame: -1 }));
+
+        this.reset();
         this.isInitialized = true;
     }
 
+    /**
+     * Clear all frame-to-frame state: band envelopes, onset statistics, tempo clock.
+     */
+    reset() {
+        for (const map of [this._rawBands, this._smoothedBands, this._peakBands]) {
+            map.forEach((arr) => arr.fill(0));
+        }
+        this.onsets.reset();
+        this.tempo.reset();
+        this._bandFrame.clear();
+        this._waveFrame = -1;
+        this._timeDomain.forEach((entry) => (entry.frame = -1));
+        this._channelSpectra.forEach((entry) => (entry.frame = -1));
+        this.frame.stereo.correlation = 0;
+        this.frame.stereo.width = 0;
+    }
+
+    /**
+     * Take this frame's analysis snapshot. Call once per frame, before any getter.
+     * Reads the spectrum once, runs onset detection + the tempo clock, and invalidates
+     * the getLogBands cache so its envelopes advance by exactly dt.
+     * Returns the reused snapshot { id, dt, level, bands, stereo, onsets, tempo }:
+     * stereo = { correlation, width } (see _measureStereo),
+     * onsets = { beat, beatStrength, bands: { kick, snare, hihat, full: { onset, strength, flux } } },
+     * tempo = { bpm, confidence, manual, beatPhase, beatPosition, beatInBar, barPhase, bar }.
+     */
+    beginFrame(dt) {
+        const frame = this.frame;
+        frame.id++;
+        frame.dt = dt;
+
+        if (this.isInitialized) {
+            this.analyser.getFloatFrequencyData(this.floatArray);
+            this.analyser.getByteFrequencyData(this.dataArray);
+            this.onsets.process(this.floatArray, this.sampleRate / this.analyser.fftSize, dt);
+
+            const data = this.dataArray;
+            const third = Math.floor(data.length / 3);
+            let bass = 0, mid = 0, treble = 0;
+            for (let i = 0; i < third; i++) bass += data[i];
+            for (let i = third; i < third * 2; i++) mid += data[i];
+            for (let i = third * 2; i < data.length; i++) treble += data[i];
+            frame.level = (bass + mid + treble) / (data.length * 255);
+            frame.bands.bass = bass / (third * 255);
+            frame.bands.mid = mid / (third * 255);
+            frame.bands.treble = treble / ((data.length - third * 2) * 255);
+
+            this._measureStereo(dt);
+        }
+        this.tempo.process(this.onsets.result, dt);
+
+        return frame;
+    }
+
     getLevel() {
-        if (!this.isInitialized) return 0;
-        this.analyser.getByteFrequencyData(this.dataArray);
-        let sum = 0;
-        for (let i = 0; i < this.dataArray.length; i++) sum += this.dataArray[i];
-        return sum / (this.dataArray.length * 255);
+        return this.frame.level;
     }
 
     getBands() {
-        if (!this.isInitialized) return { bass: 0, mid: 0, treble: 0 };
-        this.analyser.getByteFrequencyData(this.dataArray);
-        const third = Math.floor(this.dataArray.length / 3);
-        let bass = 0, mid = 0, treble = 0;
-        for (let i = 0; i < third; i++) bass += this.dataArray[i];
-        for (let i = third; i < third * 2; i++) mid += this.dataArray[i];
-        for (let i = third * 2; i < this.dataArray.length; i++) treble += this.dataArray[i];
-        return {
-            bass: bass / (third * 255),
-            mid: mid / (third * 255),
-            treble: treble / ((this.dataArray.length - third * 2) * 255)
-        };
+        return this.frame.bands;
+    }
+
+    /**
+     * Phase correlation (-1..1) and stereo width (0..1) of the current frame
+     */
+    getStereo() {
+        return this.frame.stereo;
+    }
+
+    /**
+     * Onsets of the current frame (see beginFrame)
+     */
+    getOnsets() {
+        return this.onsets.result;
+    }
+
+    /**
+     * Tempo estimate + beat clock as of the current frame (see beginFrame)
+     */
+    getTempo() {
+        return this.tempo.result;
     }
 
     /**
-     * Advanced log-spaced frequency bands with perceptual weighting
+     * Advanced log-spaced frequency bands with perceptual weighting.
+     * Computed once per frame per bandCount; later calls in the same frame return the
+     * same array (the params of the first call win).
+     * attackTime/releaseTime are envelope time constants in seconds (0 = instant);
+     * smoothing is the fraction kept per 1/60 s, scaled to the frame's dt.
+     * channel: null = the mono mix, 0 = left, 1 = right (each keeps its own envelopes).
      */
-    getLogBands(bandCount, params = {}) {
+    getLogBands(bandCount, params = {}, channel = null) {
         const {
             freqMin = 80,
             freqMax = 18000,
@@ -74,26 +189,29 @@ export class AudioAnalyzer {
             bassTameRange = 0.15,  // What % of bands are "bass"
             gain = 1.5,            // Overall gain multiplier
             compress = 0.8,        // Compression exponent (< 1 = more compression)
-            attack = 0.8,          // Fast attack (0-1, higher = faster)
-            release = 0.15,        // Slower release (0-1, higher = faster)
-            smoothing = 0.3,       // Additional global smoothing
+            attackTime = 0.01,     // Fast attack (seconds to ~63% of a rise)
+            releaseTime = 0.1,     // Slower release (seconds to ~63% of a fall)
+            smoothing = 0.3,       // Additional global smoothing (0-1 per 60 Hz frame)
             noiseFloor = 0.015
         } = params;
         
         // Ensure buffers exist
-        if (!this._rawBands.has(bandCount)) {
-            this._rawBands.set(bandCount, new Float32Array(bandCount));
-            this._smoothedBands.set(bandCount, new Float32Array(bandCount));
-            this._peakBands.set(bandCount, new Float32Array(bandCount));
+        const key = channel === null ? bandCount : `${bandCount}:${channel}`;
+        if (!this._rawBands.has(key)) {
+            this._rawBands.set(key, new Float32Array(bandCount));
+            this._smoothedBands.set(key, new Float32Array(bandCount));
+            this._peakBands.set(key, new Float32Array(bandCount));
         }
         
-        const raw = this._rawBands.get(bandCount);
-        const smoothed = this._smoothedBands.get(bandCount);
-        const peaks = this._peakBands.get(bandCount);
+        const raw = this._rawBands.get(key);
+        const smoothed = this._smoothedBands.get(key);
+        const peaks = this._peakBands.get(key);
         
         if (!this.isInitialized) return smoothed;
-        
-        this.analyser.getFloatFrequencyData(this.floatArray);
+        if (this._bandFrame.get(key) === this.frame.id) return smoothed;
+        const spectrum = channel === null ? this.floatArray : this._channelSpectrum(channel);
+        if (!spectrum) return smoothed;
+        this._bandFrame.set(key, this.frame.id);
         
         const fftSize = this.analyser.fftSize;
         const binCount = this.analyser.frequencyBinCount;
@@ -120,7 +238,7 @@ export class AudioAnalyzer {
             for (let k = -windowSize; k <= windowSize; k++) {
                 const bin = centerBin + k;
                 if (bin >= minBin && bin <= maxBin) {
-                    const db = this.floatArray[bin];
+                    const db = spectrum[bin];
                     // dB to linear with floor at -80dB
                     const linear = Math.pow(10, Math.max(db, -80) / 20);
                     energy += linear;
@@ -162,7 +280,12 @@ export class AudioAnalyzer {
             raw[j] = energy;
         }
         
-        // Attack/Release envelope per band
+        // Attack/Release envelope per band (one-pole, frame-rate independent)
+        const dt = this.frame.dt;
+        const attack = attackTime > 0 ? 1 - Math.exp(-dt / attackTime) : 1;
+        const release = releaseTime > 0 ? 1 - Math.exp(-dt / releaseTime) : 1;
+        const follow = 1 - Math.pow(Math.min(smoothing, 0.999), dt * 60);
+        
         for (let j = 0; j < bandCount; j++) {
             if (raw[j] > peaks[j]) {
                 // Attack: fast rise
@@ -173,22 +296,106 @@ export class AudioAnalyzer {
             }
             
             // Additional smoothing
-            smoothed[j] += (peaks[j] - smoothed[j]) * (1 - smoothing);
+            smoothed[j] += (peaks[j] - smoothed[j]) * follow;
         }
         
         return smoothed;
     }
 
+    // Channel spectrum (dB), read once per frame like the mix in beginFrame
+    _channelSpectrum(channel) {
+        const entry = this._channelSpectra[channel];
+        if (!entry) return null;
+        if (entry.frame !== this.frame.id) {
+            entry.frame = this.frame.id;
+            this.channelAnalysers[channel].getFloatFrequencyData(entry.data);
+        }
+        return entry.data;
+    }
+
+    /**
+     * Correlation meter and width from this frame's L/R samples, eased over ~150 ms.
+     * correlation = sum(LR) / sqrt(sum(L²) sum(R²)): 1 mono, 0 unrelated, -1 out of phase.
+     * width = side energy / (mid + side energy): 0 mono, 0.5 unrelated, 1 out of phase.
+     * Silence reads as 0 / 0.
+     */
+    _measureStereo(dt) {
+        const stereo = this.frame.stereo;
+        const raw = this._stereoRaw;
+        const left = this.getTimeDomainData(0);
+        const right = this.getTimeDomainData(1);
+        const n = Math.min(left.length, right.length);
+
+        let lr = 0, ll = 0, rr = 0;
+        for (let i = 0; i < n; i++) {
+            lr += left[i] * right[i];
+            ll += left[i] * left[i];
+            rr += right[i] * right[i];
+        }
+        // mid = (L+R)/2, side = (L-R)/2; their energies follow from the same sums
+        const mid = ll + rr + 2 * lr;
+        const side = ll + rr - 2 * lr;
+        const silent = ll + rr < 1e-6 * Math.max(1, n);
+        raw.correlation = silent ? 0 : lr / Math.sqrt(ll * rr || 1e-12);
+        raw.width = silent ? 0 : side / (mid + side);
+
+        const follow = 1 - Math.exp(-dt / 0.15);
+        stereo.correlation += (raw.correlation - stereo.correlation) * follow;
+        stereo.width += (raw.width - stereo.width) * follow;
+    }
+
+    /**
+     * Tap the current source into a MediaStream (e.g. for recording with the canvas)
+     */
+    createStreamDestination() {
+        if (!this.isInitialized) return null;
+        const dest = this.audioContext.createMediaStreamDestination();
+        this.source.connect(dest);
+        return dest;
+    }
+
+    releaseStreamDestination(dest) {
+        if (!dest || !this.source) return;
+        try {
+            this.source.disconnect(dest);
+        } catch (_) {}
+    }
+
     getFrequencyData() {
-        if (!this.isInitialized) return this.dataArray || new Uint8Array(0);
-        this.analyser.getByteFrequencyData(this.dataArray);
-        return this.dataArray;
+        return this.dataArray || new Uint8Array(0);
     }
     
     getWaveformData() {
         if (!this.isInitialized) return new Uint8Array(0);
-        const waveform = new Uint8Array(this.analyser.fftSize);
-        this.analyser.getByteTimeDomainData(waveform);
-        return waveform;
+        if (!this._waveform || this._waveform.length !== this.analyser.fftSize) {
+            this._waveform = new Uint8Array(this.analyser.fftSize);
+            this._waveFrame = -1;
+        }
+        if (this._waveFrame !== this.frame.id) {
+            this._waveFrame = this.frame.id;
+            this.analyser.getByteTimeDomainData(this._waveform);
+        }
+        return this._waveform;
+    }
+
+    /**
+     * Float time-domain samples (-1..1) of the latest fftSize samples, read once per frame.
+     * @param {number|null} channel - 0 = left, 1 = right, null = the mono mix
+     */
+    getTimeDomainData(channel = null) {
+        if (!this.isInitialized) return new Float32Array(0);
+        const analyser = channel === null ? this.analyser : this.channelAnalysers[channel];
+        if (!analyser) return new Float32Array(0);
+
+        let entry = this._timeDomain.get(channel);
+        if (!entry || entry.data.length !== analyser.fftSize) {
+            entry = { data: new Float32Array(analyser.fftSize), frame: -1 };
+            this._timeDomain.set(channel, entry);
+        }
+        if (entry.frame !== this.frame.id) {
+            entry.frame = this.frame.id;
+            analyser.getFloatTimeDomainData(entry.data);
+        }
+        return entry.data;
     }
 }
@@ -0,0 +1,244 @@
+// Offline Audio Analyzer - same analysis API as AudioAnalyzer, driven by a decoded AudioBuffer
+// No Web Audio graph is involved, so results are repeatable (export, scrubbing, tests).
+import { AudioAnalyzer } from './analyzer.js';
+
+/**
+ * AnalyserNode stand-in that reads from a sample array instead of the audio graph.
+ * Follows the Web Audio spec: Blackman window, 1/N magnitude scaling,
+ * smoothingTimeConstant between frames, minDecibels/maxDecibels byte mapping.
+ */
+export class BufferAnalyser {
+    constructor(samples, sampleRate, fftSize = 4096) {
+        this.samples = samples;
+        this.sampleRate = sampleRate;
+        this.fftSize = fftSize;
+        this.frequencyBinCount = fftSize / 2;
+        this.smoothingTimeConstant = 0.1;
+        this.minDecibels = -100;
+        this.maxDecibels = -30;
+
+        this._position = 0;       // sample index the analysis window ends at
+        this._analyzedAt = -1;
+
+        // Preallocated FFT workspace
+        this._window = new Float32Array(fftSize);
+        this._re = new Float32Array(fftSize);
+        this._im = new Float32Array(fftSize);
+        this._magnitude = new Float32Array(this.frequencyBinCount);
+        this._cos = new Float32Array(fftSize / 2);
+        this._sin = new Float32Array(fftSize / 2);
+        this._bitRev = new Uint32Array(fftSize);
+
+        for (let i = 0; i < fftSize; i++) {
+            const x = i / fftSize;
+            this._window[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * x) + 0.08 * Math.cos(4 * Math.PI * x);
+        }
+        for (let i = 0; i < fftSize / 2; i++) {
+            this._cos[i] = Math.cos(-2 * Math.PI * i / fftSize);
+            this._sin[i] = Math.sin(-2 * Math.PI * i / fftSize);
+        }
+        const bits = Math.log2(fftSize);
+        for (let i = 0; i < fftSize; i++) {
+            let r = 0;
+            for (let b = 0; b < bits; b++) r = (r << 1) | ((i >> b) & 1);
+            this._bitRev[i] = r;
+        }
+    }
+
+    get duration() {
+        return this.samples.length / this.sampleRate;
+    }
+
+    setTime(time) {
+        this._position = Math.max(0, Math.round(time * this.sampleRate));
+    }
+
+    // Forget the smoothed spectrum (smoothingTimeConstant history)
+    reset() {
+        this._magnitude.fill(0);
+        this._analyzedAt = -1;
+    }
+
+    getFloatFrequencyData(array) {
+        this._analyze();
+        const n = Math.min(array.length, this.frequencyBinCount);
+        for (let i = 0; i < n; i++) {
+            const mag = this._magnitude[i];
+            array[i] = mag > 0 ? 20 * Math.log10(mag) : -Infinity;
+        }
+    }
+
+    getByteFrequencyData(array) {
+        this._analyze();
+        const n = Math.min(array.length, this.frequencyBinCount);
+        const range = this.maxDecibels - this.minDecibels;
+        for (let i = 0; i < n; i++) {
+            const mag = this._magnitude[i];
+            const db = mag > 0 ? 20 * Math.log10(mag) : this.minDecibels;
+            const v = 255 * (db - this.minDecibels) / range;
+            array[i] = v < 0 ? 0 : v > 255 ? 255 : v;
+        }
+    }
+
+    getFloatTimeDomainData(array) {
+        const n = Math.min(array.length, this.fftSize);
+        const start = this._position - n;
+        for (let i = 0; i < n; i++) {
+            const idx = start + i;
+            array[i] = idx >= 0 && idx < this.samples.length ? this.samples[idx] : 0;
+        }
+    }
+
+    getByteTimeDomainData(array) {
+        const n = Math.min(array.length, this.fftSize);
+        const start = this._position - n;
+        for (let i = 0; i < n; i++) {
+            const idx = start + i;
+            const s = idx >= 0 && idx < this.samples.length ? this.samples[idx] : 0;
+            const v = 128 * (s + 1);
+            array[i] = v < 0 ? 0 : v > 255 ? 255 : v;
+        }
+    }
+
+    // Window the most recent fftSize samples, FFT, and smooth magnitudes (once per position)
+    _analyze() {
+        if (this._analyzedAt === this._position) return;
+        this._analyzedAt = this._position;
+
+        const N = this.fftSize;
+        const re = this._re;
+        const im = this._im;
+        const start = this._position - N;
+
+        for (let i = 0; i < N; i++) {
+            const idx = start + i;
+            const s = idx >= 0 && idx < this.samples.length ? this.samples[idx] : 0;
+            const j = this._bitRev[i];
+            re[j] = s * this._window[i];
+            im[j] = 0;
+        }
+
+        // Iterative radix-2 Cooley-Tukey
+        for (let size = 2; size <= N; size <<= 1) {
+            const half = size >> 1;
+            const step = N / size;
+            for (let i = 0; i < N; i += size) {
+                for (let k = 0; k < half; k++) {
+                    const wr = this._cos[k * step];
+                    const wi = this._sin[k * step];
+                    const a = i + k;
+                    const b = a + half;
+                    const tr = re[b] * wr - im[b] * wi;
+                    const ti = re[b] * wi + im[b] * wr;
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                }
+            }
+        }
+
+        const tau = this.smoothingTimeConstant;
+        for (let k = 0; k < this.frequencyBinCount; k++) {
+            const mag = Math.sqrt(re[k] * re[k] + im[k] * im[k]) / N;
+            this._magnitude[k] = tau * this._magnitude[k] + (1 - tau) * mag;
+        }
+    }
+}
+
+/**
+ * AudioAnalyzer over a decoded AudioBuffer. getLevel, getBands, getStereo, getLogBands,
+ * getFrequencyData, getWaveformData, getTimeDomainData and the onset/tempo path are
+ * inherited unchanged; only the AnalyserNodes are swapped for BufferAnalysers.
+ *
+ * Sequential use (export): setTime(t) before each frame, stepping t at a fixed dt.
+ * Random access (scrubbing, tests): seek(t) gives the same frame regardless of what
+ * was analyzed before.
+ */
+export class OfflineAudioAnalyzer extends AudioAnalyzer {
+    constructor() {
+        super();
+        this._requested = new Map(); // band key -> [bandCount, params, channel], replayed during seek() preroll
+    }
+
+    /**
+     * @param {AudioBuffer|object} audioBuffer - anything with sampleRate, length,
+     *   numberOfChannels and getChannelData(c) (a plain object works outside the browser)
+     */
+    load(audioBuffer) {
+        this.sampleRate = audioBuffer.sampleRate;
+        this.duration = audioBuffer.duration;
+
+        // Mono mixdown, matching what the live graph feeds a single AnalyserNode
+        const mono = new Float32Array(audioBuffer.length);
+        const channels = audioBuffer.numberOfChannels;
+        for (let c = 0; c < channels; c++) {
+            const data = audioBuffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) mono[i] += data[i] / channels;
+        }
+
+        this.analyser = new BufferAnalyser(mono, this.sampleRate, 4096);
+        // Left/right as the live splitter sees them (a mono buffer feeds both)
+        this.channelAnalysers = [0, Math.min(1, channels - 1)].map((c) =>
+            new BufferAnalyser(audioBuffer.getChannelData(c), this.sampleRate, 4096));
+        this._channelSpectra = this.channelAnalysers.map((a) => ({ data: new Float32Array(a.frequencyBinCount), frame: -1 }));
+        this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+        this.floatArray = new Float32Array(this.analyser.frequencyBinCount);
+        this._requested.clear();
+        this.reset();
+        this.isInitialized = true;
+    }
+
+    /**
+     * Load raw channel data, e.g. from a test fixture.
+     */
+    loadSamples(channels, sampleRate) {
+        this.load({
+            sampleRate,
+            length: channels[0].length,
+            duration: channels[0].length / sampleRate,
+            numberOfChannels: channels.length,
+            getChannelData: (c) => channels[c]
+        });
+    }
+
+    setTime(time) {
+        if (this.analyser) this.analyser.setTime(time);
+        this.channelAnalysers.forEach((a) => a.setTime(time));
+    }
+
+    // Seconds, like HTMLMediaElement.currentTime
+    get currentTime() {
+        return this.analyser ? this.analyser._position / this.sampleRate : 0;
+    }
+
+    /**
+     * Jump to an arbitrary timestamp. All state is reset, then `preroll` seconds before
+     * `time` are replayed at `frameRate` (snapshot + every band count requested so far),
+     * so envelopes have settled the way they would during playback. The next
+     * beginFrame() then analyzes `time` itself.
+     * The tempo clock needs ~8s of history; pass a longer preroll if it matters.
+     */
+    seek(time, { preroll = 1, frameRate = 60 } = {}) {
+        if (!this.isInitialized) return;
+
+        this.reset();
+        this.analyser.reset();
+        this.channelAnalysers.forEach((a) => a.reset());
+
+        const dt = 1 / frameRate;
+        const frames = Math.floor(Math.min(time, preroll) * frameRate);
+        for (let i = frames; i > 0; i--) {
+            this.setTime(time - i * dt);
+            this.beginFrame(dt);
+            this._requested.forEach((args) => super.getLogBands(...args));
+        }
+
+        this.setTime(time);
+    }
+
+    getLogBands(bandCount, params = {}, channel = null) {
+        this._requested.set(`${bandCount}:${channel}`, [bandCount, params, channel]);
+        return super.getLogBands(bandCount, params, channel);
+    }
+}
@@ -0,0 +1,133 @@
+// Onset Detector - Spectral-flux onsets per band with an adaptive threshold
+// Works on the dB spectrum from an AnalyserNode (live or BufferAnalyser), once per frame.
+
+// Band ranges in Hz. 'full' drives the generic beat when the kick is quiet.
+const BANDS = {
+    kick: { min: 30, max: 150, refractory: 0.12 },
+    snare: { min: 200, max: 4000, refractory: 0.1 },
+    hihat: { min: 6000, max: 16000, refractory: 0.05 },
+    full: { min: 30, max: 16000, refractory: 0.1 }
+};
+const BEAT_REFRACTORY = 0.1; // kick + full can both fire on one hit; report it once
+
+export class OnsetDetector {
+    constructor(options = {}) {
+        this.sensitivity = options.sensitivity ?? 1.5;  // threshold = mean + sensitivity * stddev
+        this.statsTime = options.statsTime ?? 1.0;       // seconds of history in the running stats
+        this.minFlux = options.minFlux ?? 0.02;          // ignore flux below this (silence)
+        this.compression = options.compression ?? 1000;  // log(1 + C * magnitude)
+
+        this._prev = null;
+        this._time = 0;
+        this._lastBeat = -Infinity;
+        this._state = {};
+        for (const name of Object.keys(BANDS)) {
+            this._state[name] = { mean: 0, variance: 0, lastOnset: -Infinity };
+        }
+
+        // Reused result object (avoid per-frame allocation)
+        this.result = {
+            beat: false,
+            beatStrength: 0,
+            bands: {
+                kick: { onset: false, strength: 0, flux: 0 },
+                snare: { onset: false, strength: 0, flux: 0 },
+                hihat: { onset: false, strength: 0, flux: 0 },
+                full: { onset: false, strength: 0, flux: 0 }
+            }
+        };
+    }
+
+    reset() {
+        this._prev = null;
+        this._time = 0;
+        this._lastBeat = -Infinity;
+        for (const s of Object.values(this._state)) {
+            s.mean = 0;
+            s.variance = 0;
+            s.lastOnset = -Infinity;
+        }
+        this._clear();
+    }
+
+    /**
+     * Process one frame of dB spectrum data.
+     * @param {Float32Array} spectrumDb - from getFloatFrequencyData()
+     * @param {number} hzPerBin - sampleRate / fftSize
+     * @param {number} dt - seconds since the previous frame
+     */
+    process(spectrumDb, hzPerBin, dt) {
+        const n = spectrumDb.length;
+        if (!this._prev || this._prev.length !== n) {
+            this._prev = new Float32Array(n);
+            this._mag = new Float32Array(n);
+            this._compress(spectrumDb, this._prev);
+            this._clear();
+            return this.result;
+        }
+
+        this._time += dt;
+        this._compress(spectrumDb, this._mag);
+
+        const alpha = 1 - Math.exp(-dt / this.statsTime);
+        const out = this.result;
+
+        for (const [name, band] of Object.entries(BANDS)) {
+            const lo = Math.max(1, Math.floor(band.min / hzPerBin));
+            const hi = Math.min(n - 1, Math.ceil(band.max / hzPerBin));
+
+            let flux = 0;
+            for (let k = lo; k <= hi; k++) {
+                const diff = this._mag[k] - this._prev[k];
+                if (diff > 0) flux += diff;
+            }
+            flux /= Math.max(1, hi - lo + 1);
+
+            const s = this._state[name];
+            const threshold = s.mean + this.sensitivity * Math.sqrt(s.variance);
+            const res = out.bands[name];
+
+            res.flux = flux;
+            res.onset = flux > threshold && flux > this.minFlux &&
+                (this._time - s.lastOnset) >= band.refractory;
+            res.strength = res.onset ? 1 - threshold / flux : 0;
+            if (res.onset) s.lastOnset = this._time;
+
+            // Update running stats after the decision (threshold uses only past frames)
+            const delta = flux - s.mean;
+            s.mean += alpha * delta;
+            s.variance = (1 - alpha) * (s.variance + alpha * delta * delta);
+        }
+
+        const kick = out.bands.kick;
+        const full = out.bands.full;
+        out.beat = (kick.onset || full.onset) && (this._time - this._lastBeat) >= BEAT_REFRACTORY;
+        out.beatStrength = out.beat ? Math.max(kick.strength, full.strength) : 0;
+        if (out.beat) this._lastBeat = this._time;
+
+        const tmp = this._prev;
+        this._prev = this._mag;
+        this._mag = tmp;
+
+        return out;
+    }
+
+    _compress(spectrumDb, target) {
+        const c = this.compression;
+        for (let k = 0; k < spectrumDb.length; k++) {
+            const linear = Math.pow(10, Math.max(spectrumDb[k], -100) / 20);
+            target[k] = Math.log1p(c * linear);
+        }
+    }
+
+    _clear() {
+        const out = this.result;
+        out.beat = false;
+        out.beatStrength = 0;
+        for (const res of Object.values(out.bands)) {
+            res.onset = false;
+            res.strength = 0;
+            res.flux = 0;
+        }
+    }
+}
@@ -0,0 +1,119 @@
+// Remote Audio - AudioAnalyzer stand-in for visualizers running in the render worker
+// The analyzer needs the AudioContext, so it stays on the main thread; each frame the main
+// thread posts a snapshot and this serves the same getters from it. Band counts (and the
+// waveform/spectrum) are computed only once something asked for them: the first call returns
+// zeros and reports the need (onNeeds), the main thread includes it from the next frame on.
+// Time-domain channels work the same way.
+
+export class RemoteAudio {
+    constructor() {
+        this.isInitialized = false;
+        this.sampleRate = 44100;
+        this.frame = {
+            id: 0,
+            dt: 1 / 60,
+            level: 0,
+            bands: { bass: 0, mid: 0, treble: 0 },
+            stereo: { correlation: 0, width: 0 }
+        };
+
+        this._bands = new Map(); // 'bandCount:channel' -> { bandCount, channel, data: Float32Array }
+        this._waveform = new Uint8Array(0);
+        this._frequency = new Uint8Array(0);
+        this._timeDomain = new Map(); // channel (null = mix) -> Float32Array
+        this._wantsWaveform = false;
+        this._wantsFrequency = false;
+
+        // Called with { bands: [bandCount, channel][], waveform, frequency, timeDomain: channel[] }
+        // when a new getter is used
+        this.onNeeds = null;
+    }
+
+    /**
+     * Take a snapshot posted by the main thread (see RenderWorker.frame()).
+     * @param {object} snapshot - { initialized, sampleRate, dt, level, bands, stereo,
+     *   logBands: [bandCount, channel, Float32Array][], waveform?, frequency?,
+     *   timeDomain: [channel, Float32Array][] }
+     */
+    receive(snapshot) {
+        this.isInitialized = snapshot.initialized;
+        this.sampleRate = snapshot.sampleRate;
+        this.frame.id++;
+        this.frame.dt = snapshot.dt;
+        this.frame.level = snapshot.level;
+        Object.assign(this.frame.bands, snapshot.bands);
+        Object.assign(this.frame.stereo, snapshot.stereo);
+
+        for (const [n, channel, values] of snapshot.logBands) {
+            this._bands.get(`${n}:${channel}`)?.data.set(values);
+        }
+        if (snapshot.waveform) this._waveform = snapshot.waveform;
+        if (snapshot.frequency) this._frequency = snapshot.frequency;
+        for (const [channel, data] of snapshot.timeDomain) this._timeDomain.set(channel, data);
+    }
+
+    getLevel() {
+        return this.frame.level;
+    }
+
+    getBands() {
+        return this.frame.bands;
+    }
+
+    getStereo() {
+        return this.frame.stereo;
+    }
+
+    /**
+     * Log bands computed on the main thread with the frame's audioParams (params is ignored).
+     */
+    getLogBands(bandCount, params, channel = null) {
+        const key = `${bandCount}:${channel}`;
+        let bands = this._bands.get(key);
+        if (!bands) {
+            bands = { bandCount, channel, data: new Float32Array(bandCount) };
+            this._bands.set(key, bands);
+            this._reportNeeds();
+        }
+        return bands.data;
+    }
+
+    getWaveformData() {
+        if (!this._wantsWaveform) {
+            this._wantsWaveform = true;
+            this._reportNeeds();
+        }
+        return this._waveform;
+    }
+
+    getFrequencyData() {
+        if (!this._wantsFrequency) {
+            this._wantsFrequency = true;
+            this._reportNeeds();
+        }
+        return this._frequency;
+    }
+
+    /**
+     * @param {number|null} channel - 0 = left, 1 = right, null = the mono mix
+     */
+    getTimeDomainData(channel = null) {
+        let data = this._timeDomain.get(channel);
+        if (!data) {
+            data = new Float32Array(0);
+            this._timeDomain.set(channel, data);
+            this._reportNeeds();
+        }
+        return data;
+    }
+
+    _reportNeeds() {
+        if (!this.onNeeds) return;
+        this.onNeeds({
+            bands: [...this._bands.values()].map((b) => [b.bandCount, b.channel]),
+            waveform: this._wantsWaveform,
+            frequency: this._wantsFrequency,
+            timeDomain: [...this._timeDomain.keys()]
+        });
+    }
+}
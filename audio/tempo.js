@@ -0,0 +1,224 @@
+// Tempo Tracker - BPM from autocorrelation of the onset envelope, plus a beat-phase clock
+// The clock free-runs at the estimated tempo and is nudged toward detected beats (PLL),
+// so visualizers get a smooth 0..1 beat phase instead of raw onset flags.
+
+const ENV_RATE = 50;           // onset envelope samples per second
+const ENV_SECONDS = 8;         // autocorrelation window
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PRIOR_BPM = 120;         // log-gaussian tempo prior (resolves half/double ambiguity)
+const PRIOR_WIDTH = 1.0;       // in octaves
+const ESTIMATE_INTERVAL = 0.5; // seconds between BPM estimates
+const MIN_CONFIDENCE = 0.15;   // below this the tempo is reported as unknown (bpm = 0)
+const PHASE_GAIN = 0.15;       // PLL correction per detected beat
+const TAP_TIMEOUT = 2;         // seconds without a tap starts a new tap sequence
+const BEATS_PER_BAR = 4;
+
+export class TempoTracker {
+    constructor() {
+        this._envelope = new Float32Array(ENV_RATE * ENV_SECONDS);
+        this._acf = new Float32Array(Math.ceil(ENV_RATE * 60 / MIN_BPM) + 2);
+        this._taps = [];
+
+        // Reused result object
+        this.result = {
+            bpm: 0,              // 0 = unknown
+            confidence: 0,
+            manual: false,       // tap tempo override active
+            beatPhase: 0,        // 0..1 within the current beat
+            beatPosition: 0,     // continuous beats since start (beatIndex + beatPhase)
+            beatInBar: 0,        // 0..3
+            barPhase: 0,         // 0..1 within the current bar
+            bar: 0               // bars since start
+        };
+
+        this.reset();
+    }
+
+    reset() {
+        this._envelope.fill(0);
+        this._writeIdx = 0;
+        this._filled = 0;
+        this._accum = 0;
+        this._accumTime = 0;
+        this._sinceEstimate = 0;
+        this._time = 0;
+
+        this._bpm = 0;
+        this._confidence = 0;
+        this._phase = 0;
+        this._beatIndex = 0;
+        this._aligned = false;
+
+        this._manualBpm = 0;
+        this._taps.length = 0;
+        this._publish();
+    }
+
+    /**
+     * Advance one frame.
+     * @param {object} onsets - OnsetDetector result ({ beat, bands.full.flux })
+     * @param {number} dt - seconds since last frame
+     */
+    process(onsets, dt) {
+        this._time += dt;
+        this._pushEnvelope(onsets.bands.full.flux, dt);
+
+        this._sinceEstimate += dt;
+        if (this._sinceEstimate >= ESTIMATE_INTERVAL && this._filled >= ENV_RATE * 3) {
+            this._sinceEstimate = 0;
+            this._estimate();
+        }
+
+        const bpm = this._manualBpm || (this._confidence >= MIN_CONFIDENCE ? this._bpm : 0);
+        if (bpm > 0) {
+            this._phase += dt * bpm / 60;
+
+            // Pull the clock toward detected beats (taps own the phase in manual mode).
+            // The first beat after the tempo locks sets the phase outright.
+            if (onsets.beat && !this._manualBpm) {
+                if (!this._aligned) {
+                    if (this._phase > 0.5) this._beatIndex++;
+                    this._phase = 0;
+                    this._aligned = true;
+                } else {
+                    const err = this._phase - Math.round(this._phase);
+                    this._phase -= err * PHASE_GAIN;
+                }
+            }
+
+            while (this._phase >= 1) {
+                this._phase -= 1;
+                this._beatIndex++;
+            }
+            if (this._phase < 0) this._phase = 0;
+        } else {
+            this._aligned = false;
+        }
+
+        this._publish();
+        return this.result;
+    }
+
+    /**
+     * Tap tempo. Two or more taps within TAP_TIMEOUT set a manual BPM and align the phase.
+     */
+    tap(now = this._time) {
+        const last = this._taps[this._taps.length - 1];
+        if (last !== undefined && now - last > TAP_TIMEOUT) this._taps.length = 0;
+        this._taps.push(now);
+        if (this._taps.length > 8) this._taps.shift();
+
+        if (this._taps.length >= 2) {
+            const intervals = [];
+            for (let i = 1; i < this._taps.length; i++) intervals.push(this._taps[i] - this._taps[i - 1]);
+            intervals.sort((a, b) => a - b);
+            const median = intervals[Math.floor(intervals.length / 2)];
+            this._manualBpm = 60 / median;
+
+            // The tap lands on a beat
+            if (this._phase > 0.5) this._beatIndex++;
+            this._phase = 0;
+        }
+
+        this._publish();
+        return this._manualBpm;
+    }
+
+    clearTap() {
+        this._manualBpm = 0;
+        this._taps.length = 0;
+        this._publish();
+    }
+
+    // Resample the per-frame flux to a fixed-rate envelope so lags are frame-rate independent
+    _pushEnvelope(flux, dt) {
+        this._accum += flux * dt;
+        this._accumTime += dt;
+        const step = 1 / ENV_RATE;
+        while (this._accumTime >= step) {
+            const value = this._accum / this._accumTime;
+            this._envelope[this._writeIdx] = value;
+            this._writeIdx = (this._writeIdx + 1) % this._envelope.length;
+            this._filled = Math.min(this._filled + 1, this._envelope.length);
+            this._accumTime -= step;
+            this._accum = value * this._accumTime;
+        }
+    }
+
+    _estimate() {
+        const env = this._envelope;
+        const len = this._filled;
+        const start = (this._writeIdx - len + env.length) % env.length;
+
+        let mean = 0;
+        for (let i = 0; i < len; i++) mean += env[(start + i) % env.length];
+        mean /= len;
+
+        let energy = 0;
+        for (let i = 0; i < len; i++) {
+            const v = env[(start + i) % env.length] - mean;
+            energy += v * v;
+        }
+        if (energy <= 1e-9) {
+            this._confidence *= 0.5;
+            return;
+        }
+
+        const minLag = Math.floor(ENV_RATE * 60 / MAX_BPM);
+        const maxLag = Math.min(Math.ceil(ENV_RATE * 60 / MIN_BPM), len - 1);
+        const acf = this._acf;
+
+        for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+            let sum = 0;
+            for (let i = lag; i < len; i++) {
+                const a = env[(start + i) % env.length] - mean;
+                const b = env[(start + i - lag) % env.length] - mean;
+                sum += a * b;
+            }
+            acf[lag] = sum / energy;
+        }
+
+        let bestLag = 0;
+        let bestScore = -Infinity;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            const bpm = ENV_RATE * 60 / lag;
+            const octaves = Math.log2(bpm / PRIOR_BPM) / PRIOR_WIDTH;
+            const score = acf[lag] * Math.exp(-0.5 * octaves * octaves);
+            if (score > bestScore) {
+                bestScore = score;
+                bestLag = lag;
+            }
+        }
+        if (!bestLag) return;
+
+        // Parabolic interpolation around the peak for sub-sample lag
+        const y0 = acf[bestLag - 1];
+        const y1 = acf[bestLag];
+        const y2 = acf[bestLag + 1];
+        const denom = y0 - 2 * y1 + y2;
+        const offset = denom !== 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (y0 - y2) / denom)) : 0;
+        const bpm = ENV_RATE * 60 / (bestLag + offset);
+        const confidence = Math.max(0, y1);
+
+        // Smooth small drifts, jump on large changes
+        if (this._bpm > 0 && Math.abs(bpm - this._bpm) / this._bpm < 0.05) {
+            this._bpm += (bpm - this._bpm) * 0.3;
+        } else if (confidence > this._confidence * 0.8 || this._bpm === 0) {
+            this._bpm = bpm;
+        }
+        this._confidence += (confidence - this._confidence) * 0.5;
+    }
+
+    _publish() {
+        const r = this.result;
+        r.manual = this._manualBpm > 0;
+        r.bpm = this._manualBpm || (this._confidence >= MIN_CONFIDENCE ? this._bpm : 0);
+        r.confidence = r.manual ? 1 : this._confidence;
+        r.beatPhase = this._phase;
+        r.beatPosition = this._beatIndex + this._phase;
+        r.beatInBar = this._beatIndex % BEATS_PER_BAR;
+        r.barPhase = (r.beatInBar + this._phase) / BEATS_PER_BAR;
+        r.bar = Math.floor(this._beatIndex / BEATS_PER_BAR);
+    }
+}
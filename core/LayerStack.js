@@ -0,0 +1,486 @@
+// Layer Stack - Several visualizers composited into one output
+// Each layer renders into its own offscreen canvas (2d or webgl2 context), then the stack
+// draws them bottom -> top into the visible 2D canvas with opacity, blend mode and transform.
+// Because every layer owns its context, 2d and webgl2 visualizers mix freely.
+// Swapping a layer's visualizer can transition: the outgoing one keeps its own target
+// and keeps rendering until the transition completes.
+// A visualizer that keeps throwing is disabled and its layer falls back to a safe default.
+// A detached stack (no services, e.g. while the render worker draws) keeps only the layer
+// list: which visualizer each layer shows and how it switched, without targets.
+import { getVisualizerById } from '../vis/index.js';
+
+// Layer blend mode -> canvas globalCompositeOperation
+export const BLEND_MODES = {
+    normal: 'source-over',
+    add: 'lighter',
+    screen: 'screen',
+    multiply: 'multiply'
+};
+
+const DEFAULT_TRANSFORM = { x: 0, y: 0, scale: 1, rotation: 0 };
+
+const FAILURE_LIMIT = 10; // consecutive failing frames before a visualizer is disabled
+
+let nextLayerId = 1;
+
+export class LayerStack {
+    constructor() {
+        this.layers = [];   // bottom -> top
+        this.width = 1;
+        this.height = 1;
+        this.dpr = 1;
+        this.renderScale = 1;
+
+        this._services = null;
+        this._settings = null;
+
+        // Mod matrix hook: { restore(vis), applyVisualizer(vis) }, called around update()
+        this.modulator = null;
+
+        // Failure guard: disabled visualizer ids are swapped for fallbackId
+        this.fallbackId = 'bars2d';
+        this.disabled = new Set();
+        // Called with { visId, phase, error, disabled, fallback } ('init' | 'render' | 'resize' | 'dispose')
+        this.onError = null;
+    }
+
+    /**
+     * Services + shared settings handed to every visualizer. Calling it again (e.g. after
+     * swapping the audio analyzer) re-initializes all layers: initialized visualizers are
+     * disposed first and replaced by fresh instances on the same target.
+     */
+    attach(services, settings) {
+        this._services = services;
+        this._settings = settings;
+        for (const layer of this.layers) {
+            if (layer.canvas && layer.vis) {
+                const def = Object.getPrototypeOf(layer.vis);
+                this._endTransition(layer);
+                this._disposeVis(layer);
+                layer.vis = Object.create(def);
+            } else if (!layer.canvas) {
+                try {
+                    Object.assign(layer, this._createTarget(layer.vis.type === 'webgl2' ? 'webgl2' : '2d'));
+                } catch (e) {
+                    this._report(layer.vis, 'init', e);
+                    layer.error = e;
+                    continue;
+                }
+                layer.transition = null;
+            }
+            this._initLayer(layer);
+        }
+    }
+
+    /**
+     * Dispose every visualizer instance and target but keep the layers (see attach()).
+     */
+    detach() {
+        for (const layer of this.layers) {
+            const def = layer.vis && Object.getPrototypeOf(layer.vis);
+            this._disposeLayer(layer);
+            layer.vis = def ? Object.create(def) : null;
+        }
+        this._services = null;
+    }
+
+    get(id) {
+        return this.layers.find((l) => l.id === id) || null;
+    }
+
+    /**
+     * Add a layer on top. Throws if the visualizer is unknown or (when attached) its context
+     * is unavailable.
+     * @param {string} visId
+     * @param {object} [options] - { opacity, blend, visible, transform: { x, y, scale, rotation } }
+     *   x/y are offsets in fractions of the output size, rotation is in degrees
+     */
+    add(visId, options = {}) {
+        const layer = {
+            id: nextLayerId++,
+            visId: null,
+            vis: null,
+            type: null,
+            canvas: null,
+            ctx2d: null,
+            gl: null,
+            settings: null,
+            opacity: options.opacity ?? 1,
+            blend: BLEND_MODES[options.blend] ? options.blend : 'normal',
+            visible: options.visible ?? true,
+            transform: { ...DEFAULT_TRANSFORM, ...options.transform },
+            error: null,
+            failures: 0,        // consecutive frames that threw
+            outgoing: null,     // { vis, canvas, gl, ctx2d } still rendering during a transition
+            transition: null    // { type, duration, elapsed }
+        };
+        this._setVisualizer(layer, visId);
+        this.layers.push(layer);
+        return layer;
+    }
+
+    /**
+     * Swap the visualizer of an existing layer (keeps opacity/blend/transform).
+     * @param {object} [transition] - { type: 'crossfade' | 'wipe' | 'zoom' | 'none', duration (s) }
+     */
+    setVisualizer(id, visId, transition = null) {
+        const layer = this.get(id);
+        if (!layer) return null;
+        this._setVisualizer(layer, visId, transition);
+        return layer;
+    }
+
+    remove(id) {
+        const index = this.layers.findIndex((l) => l.id === id);
+        if (index < 0) return;
+        this._disposeLayer(this.layers[index]);
+        this.layers.splice(index, 1);
+    }
+
+    /**
+     * Move a layer up (+1, toward the top) or down (-1) the stack.
+     */
+    move(id, delta) {
+        const index = this.layers.findIndex((l) => l.id === id);
+        const target = index + delta;
+        if (index < 0 || target < 0 || target >= this.layers.length) return;
+        const [layer] = this.layers.splice(index, 1);
+        this.layers.splice(target, 0, layer);
+    }
+
+    clear() {
+        for (const layer of this.layers) this._disposeLayer(layer);
+        this.layers.length = 0;
+    }
+
+    resize(width, height, dpr, renderScale) {
+        this.width = width;
+        this.height = height;
+        this.dpr = dpr;
+        this.renderScale = renderScale;
+        for (const layer of this.layers) this._resizeLayer(layer);
+    }
+
+    /**
+     * Update + render every visible layer into its own target, then composite into ctx.
+     * A layer that throws is skipped for this frame (its error is kept on layer.error);
+     * after FAILURE_LIMIT frames in a row its visualizer is disabled.
+     */
+    render(dt, audioFrame, ctx) {
+        for (const layer of this.layers) {
+            if (layer.transition) {
+                layer.transition.elapsed += dt;
+                if (layer.transition.elapsed >= layer.transition.duration) this._endTransition(layer);
+            }
+            if (!layer.visible || !layer.vis) continue;
+
+            // The outgoing visualizer just stops early if it fails
+            if (layer.outgoing) {
+                try {
+                    this._renderTarget(layer.outgoing, dt, audioFrame);
+                } catch (e) {
+                    this._report(layer.outgoing.vis, 'render', e);
+                    this._endTransition(layer);
+                }
+            }
+
+            try {
+                this._renderTarget(layer, dt, audioFrame);
+                layer.error = null;
+                layer.failures = 0;
+            } catch (e) {
+                if (!layer.error) this._report(layer.vis, 'render', e);
+                layer.error = e;
+                if (++layer.failures >= FAILURE_LIMIT) this._disable(layer);
+                continue;
+            }
+
+            this._composite(layer, ctx);
+        }
+    }
+
+    /**
+     * JSON-safe description of the stack (for presets / share links).
+     * Default properties are omitted, so a plain layer is just { visualizer }.
+     */
+    toJSON() {
+        return this.layers.map((l) => {
+            const entry = { visualizer: l.visId };
+            if (l.opacity !== 1) entry.opacity = l.opacity;
+            if (l.blend !== 'normal') entry.blend = l.blend;
+            if (!l.visible) entry.visible = false;
+
+            const transform = {};
+            for (const [key, def] of Object.entries(DEFAULT_TRANSFORM)) {
+                if (l.transform[key] !== def) transform[key] = l.transform[key];
+            }
+            if (Object.keys(transform).length) entry.transform = transform;
+            return entry;
+        });
+    }
+
+    /**
+     * Replace the stack from toJSON() output. Unknown visualizers are skipped.
+     */
+    fromJSON(list) {
+        this.clear();
+        for (const entry of list || []) {
+            if (!entry || !getVisualizerById(entry.visualizer)) continue;
+            try {
+                this.add(entry.visualizer, entry);
+            } catch (e) {
+                console.error(e);
+            }
+        }
+    }
+
+    // Clear a target (layer or outgoing) and let its visualizer draw one frame
+    _renderTarget(target, dt, audioFrame) {
+        if (target.gl) {
+            const gl = target.gl;
+            gl.viewport(0, 0, target.canvas.width, target.canvas.height);
+            gl.clearColor(0, 0, 0, 0);
+            gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        } else {
+            target.ctx2d.clearRect(0, 0, target.canvas.width, target.canvas.height);
+        }
+        const mod = this.modulator;
+        if (mod) mod.restore(target.vis);
+        target.vis.update(dt, audioFrame);
+        if (mod) mod.applyVisualizer(target.vis);
+        target.vis.render();
+    }
+
+    _composite(layer, ctx) {
+        const w = this.width;
+        const h = this.height;
+        const t = layer.transform;
+
+        ctx.save();
+        ctx.globalAlpha = Math.max(0, Math.min(1, layer.opacity));
+        ctx.globalCompositeOperation = BLEND_MODES[layer.blend] || 'source-over';
+        ctx.translate(w / 2 + t.x * w, h / 2 + t.y * h);
+        ctx.rotate(t.rotation * Math.PI / 180);
+        ctx.scale(t.scale, t.scale);
+
+        const tr = layer.transition;
+        if (!tr || !layer.outgoing) {
+            ctx.drawImage(layer.canvas, -w / 2, -h / 2, w, h);
+            ctx.restore();
+            return;
+        }
+
+        // Eased progress 0..1
+        const x = Math.min(1, tr.elapsed / tr.duration);
+        const p = x * x * (3 - 2 * x);
+        const alpha = ctx.globalAlpha;
+        const from = layer.outgoing.canvas;
+        const to = layer.canvas;
+
+        if (tr.type === 'wipe') {
+            // Incoming revealed left -> right
+            ctx.drawImage(from, -w / 2, -h / 2, w, h);
+            ctx.beginPath();
+            ctx.rect(-w / 2, -h / 2, w * p, h);
+            ctx.clip();
+            ctx.drawImage(to, -w / 2, -h / 2, w, h);
+        } else if (tr.type === 'zoom') {
+            // Outgoing zooms in and fades while the incoming settles from slightly small
+            const zoomOut = 1 + p * 0.5;
+            const zoomIn = 0.75 + p * 0.25;
+            ctx.globalAlpha = alpha * (1 - p);
+            ctx.drawImage(from, -w / 2 * zoomOut, -h / 2 * zoomOut, w * zoomOut, h * zoomOut);
+            ctx.globalAlpha = alpha * p;
+            ctx.drawImage(to, -w / 2 * zoomIn, -h / 2 * zoomIn, w * zoomIn, h * zoomIn);
+        } else {
+            ctx.globalAlpha = alpha * (1 - p);
+            ctx.drawImage(from, -w / 2, -h / 2, w, h);
+            ctx.globalAlpha = alpha * p;
+            ctx.drawImage(to, -w / 2, -h / 2, w, h);
+        }
+        ctx.restore();
+    }
+
+    _setVisualizer(layer, visId, transition = null) {
+        const def = getVisualizerById(visId);
+        if (!def) throw new Error('Visualizer not found: ' + visId);
+        // Visualizers disabled by the failure guard are replaced by the fallback
+        if (this.disabled.has(visId) && visId !== this.fallbackId) {
+            return this._setVisualizer(layer, this.fallbackId, transition);
+        }
+
+        if (!this._services) {
+            // Detached: remember the switch for whoever renders the stack
+            layer.transition = transition && transition.type !== 'none' && transition.duration > 0 && layer.vis
+                ? { type: transition.type, duration: transition.duration, elapsed: 0 }
+                : null;
+            layer.vis = Object.create(def);
+            layer.visId = visId;
+            layer.error = null;
+            layer.failures = 0;
+            return;
+        }
+
+        const type = def.type === 'webgl2' ? 'webgl2' : '2d';
+        const animate = transition && transition.type !== 'none' && transition.duration > 0 &&
+            layer.vis && this._services;
+
+        // A context type can't change on an existing canvas, and during a transition the
+        // outgoing visualizer keeps its canvas; both need a fresh target
+        if (layer.type !== type || animate) {
+            const target = this._createTarget(type);
+
+            if (animate) {
+                if (layer.outgoing) this._disposeTarget(layer.outgoing);
+                this._freezeSettings(layer.settings);
+                layer.outgoing = { vis: layer.vis, canvas: layer.canvas, gl: layer.gl, ctx2d: layer.ctx2d };
+                layer.transition = { type: transition.type, duration: transition.duration, elapsed: 0 };
+                layer.vis = null;
+            } else if (layer.vis) {
+                this._disposeTarget(layer);
+            }
+            Object.assign(layer, target);
+        } else if (layer.vis) {
+            this._disposeVis(layer);
+        }
+
+        // Visualizers are singleton objects; each layer gets its own instance
+        layer.vis = Object.create(def);
+        layer.visId = visId;
+        layer.error = null;
+        layer.failures = 0;
+        if (this._services) this._initLayer(layer);
+    }
+
+    _initLayer(layer) {
+        // Layers draw on transparency; the app fills the background once under the stack
+        layer.settings = Object.create(this._settings, {
+            bgAlpha: { value: 0, writable: true, enumerable: true }
+        });
+
+        const ctx = layer.gl ? { gl: layer.gl } : { ctx2d: layer.ctx2d };
+        try {
+            layer.vis.init(ctx, this._services, layer.settings);
+            layer.error = null;
+        } catch (e) {
+            this._report(layer.vis, 'init', e);
+            layer.error = e;
+            layer.failures++;
+        }
+        this._resizeLayer(layer);
+    }
+
+    // Copy the shared settings onto a layer's own settings object, so an outgoing visualizer
+    // keeps its look even if the shared settings change mid-transition (scene switches)
+    _freezeSettings(layerSettings) {
+        if (!layerSettings) return;
+        for (const [key, value] of Object.entries(this._settings)) {
+            if (Object.prototype.hasOwnProperty.call(layerSettings, key)) continue;
+            layerSettings[key] = Array.isArray(value) ? value.slice() : value;
+        }
+    }
+
+    _createTarget(type) {
+        // Inside the render worker there is no document
+        const canvas = typeof document !== 'undefined'
+            ? document.createElement('canvas')
+            : new OffscreenCanvas(this.width, this.height);
+        canvas.width = this.width;
+        canvas.height = this.height;
+        if (type === 'webgl2') {
+            const gl = canvas.getContext('webgl2', { alpha: true, premultipliedAlpha: false, antialias: false });
+            if (!gl) throw new Error('WebGL2 not supported');
+            return { type, canvas, gl, ctx2d: null };
+        }
+        return { type, canvas, gl: null, ctx2d: canvas.getContext('2d') };
+    }
+
+    _resizeLayer(layer) {
+        if (layer.outgoing) this._resizeTarget(layer.outgoing);
+        this._resizeTarget(layer);
+    }
+
+    _resizeTarget(target) {
+        if (!target.canvas) return;
+        target.canvas.width = this.width;
+        target.canvas.height = this.height;
+        if (target.gl) target.gl.viewport(0, 0, this.width, this.height);
+        if (target.vis && this._services) {
+            try {
+                target.vis.resize(this.width, this.height, this.dpr, this.renderScale);
+            } catch (e) {
+                this._report(target.vis, 'resize', e);
+            }
+        }
+    }
+
+    _endTransition(layer) {
+        if (layer.outgoing) this._disposeTarget(layer.outgoing);
+        layer.outgoing = null;
+        layer.transition = null;
+    }
+
+    _disposeVis(target) {
+        try {
+            target.vis.dispose();
+        } catch (e) {
+            this._report(target.vis, 'dispose', e);
+        }
+        target.vis = null;
+    }
+
+    /**
+     * Stop using a visualizer: every layer showing it switches to the fallback (or is hidden
+     * if the fallback is the one disabled). Returns the fallback id used, or null.
+     */
+    disable(visId) {
+        const fallback = this._fallbackFor(visId);
+        this.disabled.add(visId);
+
+        for (const l of this.layers) {
+            if (l.visId !== visId) continue;
+            if (l.outgoing) this._endTransition(l);
+            if (fallback) {
+                try {
+                    this._setVisualizer(l, fallback);
+                    continue;
+                } catch (e) {
+                    console.error(e);
+                }
+            }
+            l.visible = false;
+        }
+        return fallback;
+    }
+
+    // Disable the visualizer of a layer that keeps failing
+    _disable(layer) {
+        const fallback = this._fallbackFor(layer.visId);
+        this._report(layer.vis, 'render', layer.error, { disabled: true, fallback });
+        this.disable(layer.visId);
+    }
+
+    _fallbackFor(visId) {
+        return visId !== this.fallbackId && !this.disabled.has(this.fallbackId) ? this.fallbackId : null;
+    }
+
+    _report(vis, phase, error, extra = {}) {
+        console.error(error);
+        if (this.onError) this.onError({ visId: vis?.id, phase, error, disabled: false, fallback: null, ...extra });
+    }
+
+    // Dispose a visualizer together with the canvas/context it renders into
+    _disposeTarget(target) {
+        if (target.vis) this._disposeVis(target);
+        target.gl?.getExtension('WEBGL_lose_context')?.loseContext();
+        target.canvas = null;
+        target.gl = null;
+        target.ctx2d = null;
+    }
+
+    _disposeLayer(layer) {
+        this._endTransition(layer);
+        this._disposeTarget(layer);
+        layer.type = null;
+    }
+}
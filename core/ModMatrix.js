@@ -0,0 +1,208 @@
+// Mod Matrix - Routes audio/LFO sources to settings or visualizer parameters
+// Each route: source -> curve -> smoothing -> offset + depth * value, added on top of the
+// target's own value. Targets are a settings key ('glowAmount') or a parameter a visualizer
+// declares in its modTargets ('lorenz:sigma'). Depth and offset are in the target's units.
+
+export const MOD_SOURCES = ['level', 'bass', 'mid', 'treble', 'band', 'beat', 'lfo', 'envelope'];
+export const LFO_SHAPES = ['sine', 'triangle', 'saw', 'square'];
+export const MOD_BAND_COUNT = 16; // log bands available to the 'band' source
+
+const BEAT_DECAY = 0.2;    // seconds, beat pulse fall time
+const ENV_ATTACK = 0.01;   // seconds, envelope follower
+const ENV_RELEASE = 0.4;
+
+const ROUTE_DEFAULTS = {
+    enabled: true,
+    source: 'level',
+    band: 0,             // 'band' source: 0..MOD_BAND_COUNT-1
+    rate: 0.25,          // 'lfo' source: Hz
+    shape: 'sine',       // 'lfo' source
+    target: '',
+    depth: 1,
+    offset: 0,
+    curve: 1,            // exponent on the 0..1 source (>1 favors peaks, <1 lifts quiet parts)
+    smoothing: 0         // seconds (one-pole time constant)
+};
+
+export class ModMatrix {
+    constructor() {
+        this.routes = [];
+
+        this._beat = 0;
+        this._env = 0;
+        this._tracked = new WeakMap(); // target object -> Map(key -> { base, written })
+    }
+
+    add(route = {}) {
+        const r = { ...ROUTE_DEFAULTS };
+        for (const key of Object.keys(ROUTE_DEFAULTS)) {
+            if (route[key] !== undefined) r[key] = route[key];
+        }
+        r._phase = 0;
+        r._value = 0;
+        this.routes.push(r);
+        return r;
+    }
+
+    remove(index) {
+        this.routes.splice(index, 1);
+    }
+
+    clear() {
+        this.routes.length = 0;
+    }
+
+    /**
+     * Evaluate all sources for this frame.
+     * @param {function} getBands - () => log bands (MOD_BAND_COUNT), only called if a route needs them
+     */
+    process(dt, audioFrame, getBands) {
+        if (audioFrame.beat) this._beat = 1;
+        else this._beat *= Math.exp(-dt / BEAT_DECAY);
+
+        const level = audioFrame.level;
+        const envTime = level > this._env ? ENV_ATTACK : ENV_RELEASE;
+        this._env += (level - this._env) * (1 - Math.exp(-dt / envTime));
+
+        let bands = null;
+        for (const r of this.routes) {
+            if (!r.enabled) continue;
+
+            let x;
+            switch (r.source) {
+                case 'bass':
+                case 'mid':
+                case 'treble':
+                    x = audioFrame.bands[r.source];
+                    break;
+                case 'band':
+                    bands = bands || getBands();
+                    x = bands[Math.max(0, Math.min(MOD_BAND_COUNT - 1, r.band | 0))];
+                    break;
+                case 'beat':
+                    x = this._beat;
+                    break;
+                case 'lfo':
+                    r._phase = (r._phase + dt * r.rate) % 1;
+                    x = this._lfo(r.shape, r._phase);
+                    break;
+                case 'envelope':
+                    x = this._env;
+                    break;
+                default:
+                    x = level;
+            }
+
+            x = Math.pow(Math.max(0, Math.min(1, x || 0)), r.curve > 0 ? r.curve : 1);
+            if (r.smoothing > 0) r._value += (x - r._value) * (1 - Math.exp(-dt / r.smoothing));
+            else r._value = x;
+        }
+    }
+
+    /**
+     * Modulate settings targets (routes whose target has no ':').
+     */
+    applySettings(settings) {
+        const sums = new Map();
+        for (const r of this.routes) {
+            if (!r.enabled || !r.target || r.target.includes(':')) continue;
+            sums.set(r.target, (sums.get(r.target) || 0) + r.offset + r.depth * r._value);
+        }
+        this._apply(settings, sums, null);
+    }
+
+    /**
+     * Modulate a visualizer instance's declared parameters ('visId:param' targets).
+     * Call between update() and render().
+     */
+    applyVisualizer(vis) {
+        const targets = vis.modTargets;
+        if (!targets) return;
+
+        const sums = new Map();
+        const prefix = vis.id + ':';
+        for (const r of this.routes) {
+            if (!r.enabled || !r.target.startsWith(prefix)) continue;
+            const def = targets[r.target.slice(prefix.length)];
+            if (!def) continue;
+            sums.set(def.prop, (sums.get(def.prop) || 0) + r.offset + r.depth * r._value);
+        }
+        this._apply(vis, sums, targets);
+    }
+
+    /**
+     * Put modulated values back to their base (the next apply re-adds the modulation).
+     * Visualizers are restored before update(), so parameters they accumulate (phase,
+     * rotation) don't integrate the modulation; settings before they are saved.
+     */
+    restore(obj) {
+        const tracked = this._tracked.get(obj);
+        if (!tracked) return;
+        for (const [key, state] of tracked) {
+            if (obj[key] === state.written) obj[key] = state.base;
+        }
+    }
+
+    toJSON() {
+        return this.routes.map((r) => {
+            const out = {};
+            for (const key of Object.keys(ROUTE_DEFAULTS)) out[key] = r[key];
+            return out;
+        });
+    }
+
+    load(list) {
+        this.clear();
+        for (const route of Array.isArray(list) ? list : []) {
+            if (route && typeof route === 'object') this.add(route);
+        }
+    }
+
+    // Add each sum to the target's base value. The base is re-read whenever something else
+    // (the UI, the timeline, the visualizer's own update) wrote the key since our last write;
+    // keys that lose all their routes go back to their base.
+    _apply(obj, sums, targets) {
+        let tracked = this._tracked.get(obj);
+        if (!tracked) {
+            if (!sums.size) return;
+            tracked = new Map();
+            this._tracked.set(obj, tracked);
+        }
+
+        for (const [key, state] of tracked) {
+            if (sums.has(key)) continue;
+            if (obj[key] === state.written) obj[key] = state.base;
+            tracked.delete(key);
+        }
+
+        for (const [key, mod] of sums) {
+            const current = obj[key];
+            if (typeof current !== 'number') continue;
+
+            let state = tracked.get(key);
+            if (!state || current !== state.written) {
+                state = { base: current, written: current };
+                tracked.set(key, state);
+            }
+
+            let value = state.base + mod;
+            if (targets) {
+                const def = Object.values(targets).find((t) => t.prop === key);
+                if (def?.min !== undefined) value = Math.max(def.min, value);
+                if (def?.max !== undefined) value = Math.min(def.max, value);
+            }
+            if (!Number.isFinite(value)) continue;
+            obj[key] = value;
+            state.written = value;
+        }
+    }
+
+    _lfo(shape, phase) {
+        switch (shape) {
+            case 'triangle': return 1 - Math.abs(phase * 2 - 1);
+            case 'saw': return phase;
+            case 'square': return phase < 0.5 ? 1 : 0;
+            default: return 0.5 - 0.5 * Math.cos(phase * Math.PI * 2);
+        }
+    }
+}
@@ -0,0 +1,185 @@
+// Playlist - Auto-cycles through an ordered list of scenes (visualizer + its own settings)
+// A scene switch is due on a timer, after N bars (tempo clock), or when the track's energy
+// changes (fast vs slow level average). Scenes and the cycling options persist in localStorage.
+
+const STORAGE_KEY = 'visualizer.playlist';
+
+// Settings that describe the stream/output rather than a look; scenes don't capture them
+const GLOBAL_KEYS = new Set([
+    'logoImage', 'albumImage', 'songTitle', 'artist', 'album', 'overlayPosition',
+    'logoSize', 'albumSize', 'aspectRatio', 'qualityScale', 'renderScale', 'maxDPR',
+    'targetFPS', 'autoQuality', 'transition', 'transitionDuration'
+]);
+
+const ENERGY_FAST = 0.5;   // seconds, short-term level average
+const ENERGY_SLOW = 8;     // seconds, long-term level average
+const ENERGY_FLOOR = 0.02; // avoid dividing by silence
+
+/**
+ * Copy the scene-relevant part of the settings object (JSON-safe).
+ */
+export function captureSceneSettings(settings) {
+    const out = {};
+    for (const [key, value] of Object.entries(settings)) {
+        if (GLOBAL_KEYS.has(key)) continue;
+        if (Array.isArray(value)) out[key] = value.slice();
+        else if (value === null || typeof value !== 'object') out[key] = value;
+    }
+    return out;
+}
+
+export class Playlist {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+
+        this.scenes = [];          // [{ visualizer, settings }]
+        this.mode = 'timer';       // 'timer' | 'bars' | 'energy'
+        this.interval = 30;        // seconds (timer mode, and bars mode without a tempo)
+        this.bars = 16;            // bars per scene (bars mode)
+        this.sensitivity = 0.5;    // relative energy change that triggers a switch (energy mode)
+        this.minSceneTime = 8;     // seconds a scene stays up at least (energy mode)
+
+        this.running = false;
+        this.index = -1;           // active scene
+
+        this._fast = null;         // level averages, seeded by the first frame
+        this._slow = null;
+
+        this._read();
+        this._resetClock();
+    }
+
+    add(visualizer, settings) {
+        this.scenes.push({ visualizer, settings: captureSceneSettings(settings) });
+        this.save();
+        return this.scenes.length - 1;
+    }
+
+    remove(index) {
+        if (index < 0 || index >= this.scenes.length) return;
+        this.scenes.splice(index, 1);
+        if (this.index === index) this.index = -1;
+        else if (this.index > index) this.index--;
+        if (!this.scenes.length) this.running = false;
+        this.save();
+    }
+
+    move(index, delta) {
+        const target = index + delta;
+        if (index < 0 || target < 0 || index >= this.scenes.length || target >= this.scenes.length) return;
+        const [scene] = this.scenes.splice(index, 1);
+        this.scenes.splice(target, 0, scene);
+        if (this.index === index) this.index = target;
+        else if (this.index === target) this.index = index;
+        this.save();
+    }
+
+    /**
+     * Store the current look into a scene (replaces its settings).
+     */
+    capture(index, visualizer, settings) {
+        const scene = this.scenes[index];
+        if (!scene) return;
+        scene.visualizer = visualizer;
+        scene.settings = captureSceneSettings(settings);
+        this.save();
+    }
+
+    start() {
+        if (!this.scenes.length) return false;
+        this.running = true;
+        this._resetClock();
+        return true;
+    }
+
+    stop() {
+        this.running = false;
+    }
+
+    /**
+     * Mark a scene active and restart the switch clock. Returns the scene (or null).
+     */
+    enter(index) {
+        const scene = this.scenes[index];
+        if (!scene) return null;
+        this.index = index;
+        this._resetClock();
+        return scene;
+    }
+
+    nextIndex() {
+        return this.scenes.length ? (this.index + 1) % this.scenes.length : -1;
+    }
+
+    /**
+     * Advance the switch clock by one frame. Returns true when the next scene is due.
+     */
+    update(dt, audioFrame) {
+        if (!this.running || this.scenes.length < 2) return false;
+
+        this._sceneTime += dt;
+
+        // Level averages run in every mode so energy mode starts with settled values
+        const level = audioFrame.level;
+        if (this._slow === null) this._fast = this._slow = level;
+        this._fast += (level - this._fast) * (1 - Math.exp(-dt / ENERGY_FAST));
+        this._slow += (level - this._slow) * (1 - Math.exp(-dt / ENERGY_SLOW));
+
+        if (this.mode === 'bars' && audioFrame.bpm > 0) {
+            if (this._lastBar !== null && audioFrame.bar !== this._lastBar) this._barCount++;
+            this._lastBar = audioFrame.bar;
+            return this._barCount >= this.bars;
+        }
+
+        if (this.mode === 'energy') {
+            if (this._sceneTime < this.minSceneTime) return false;
+            const change = Math.abs(this._fast - this._slow) / Math.max(this._slow, ENERGY_FLOOR);
+            if (change > this.sensitivity) {
+                this._slow = this._fast; // rebase so one change triggers one switch
+                return true;
+            }
+            return false;
+        }
+
+        return this._sceneTime >= this.interval;
+    }
+
+    toJSON() {
+        return {
+            scenes: this.scenes,
+            mode: this.mode,
+            interval: this.interval,
+            bars: this.bars,
+            sensitivity: this.sensitivity
+        };
+    }
+
+    save() {
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+        } catch (e) {
+            console.error(e);
+        }
+    }
+
+    _resetClock() {
+        this._sceneTime = 0;
+        this._barCount = 0;
+        this._lastBar = null;
+    }
+
+    _read() {
+        let data = null;
+        try {
+            data = JSON.parse(this.storage.getItem(STORAGE_KEY));
+        } catch (_) {}
+        if (!data || !Array.isArray(data.scenes)) return;
+
+        this.scenes = data.scenes.filter((s) => s && typeof s.visualizer === 'string')
+            .map((s) => ({ visualizer: s.visualizer, settings: s.settings || {} }));
+        if (['timer', 'bars', 'energy'].includes(data.mode)) this.mode = data.mode;
+        if (data.interval > 0) this.interval = data.interval;
+        if (data.bars > 0) this.bars = data.bars;
+        if (data.sensitivity > 0) this.sensitivity = data.sensitivity;
+    }
+}
@@ -0,0 +1,141 @@
+// Plugin Loader - Third-party visualizers shipped as ES modules (URL or local file)
+// A plugin module exports one or more visualizer objects implementing vis/contract.js
+// (default and/or named exports). URL plugins are remembered and reloaded on startup;
+// modules picked from a file are imported from a blob URL, so they can't use relative imports.
+import { registerVisualizer, unregisterVisualizer } from '../vis/index.js';
+
+const STORAGE_KEY = 'visualizer.plugins';
+const RESTORE_TIMEOUT = 5000; // ms per remembered URL, so a dead host can't hold up startup
+
+export class PluginLoader {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.sources = new Map(); // visualizer id -> source (URL or file name)
+    }
+
+    isPlugin(id) {
+        return this.sources.has(id);
+    }
+
+    /**
+     * Import a plugin module from a URL (absolute or relative to the page).
+     * @returns {Promise<object[]>} The visualizers it registered
+     */
+    async loadURL(url) {
+        const href = new URL(url, location.href).href;
+        // import() caches by URL, so a fresh query is needed to pick up an edited module;
+        // the bare href is what gets remembered
+        const fresh = new URL(href);
+        fresh.searchParams.set('v', Date.now());
+        const list = this._register(await import(fresh.href), href);
+        const urls = this._readURLs();
+        if (!urls.includes(href)) {
+            urls.push(href);
+            this._writeURLs(urls);
+        }
+        return list;
+    }
+
+    /**
+     * Import a plugin module from a local file (not remembered across sessions).
+     * @returns {Promise<object[]>} The visualizers it registered
+     */
+    async loadFile(file) {
+        const blobUrl = URL.createObjectURL(new Blob([await file.text()], { type: 'text/javascript' }));
+        try {
+            return this._register(await import(blobUrl), file.name);
+        } finally {
+            URL.revokeObjectURL(blobUrl);
+        }
+    }
+
+    /**
+     * Unregister a plugin visualizer. A URL no longer providing any visualizer is forgotten.
+     */
+    unload(id) {
+        const source = this.sources.get(id);
+        if (source === undefined) return false;
+        unregisterVisualizer(id);
+        this.sources.delete(id);
+        if (![...this.sources.values()].includes(source)) {
+            this._writeURLs(this._readURLs().filter((u) => u !== source));
+        }
+        return true;
+    }
+
+    /**
+     * Reload the remembered URL plugins. The modules are fetched in parallel, each given up
+     * on after RESTORE_TIMEOUT, then registered in the order they were added.
+     * Failures (including timeouts) are collected, not thrown.
+     * @returns {Promise<{ loaded: object[], errors: { url, error }[] }>}
+     */
+    async restore() {
+        const urls = this._readURLs();
+        const results = await Promise.allSettled(urls.map((url) => this._importWithTimeout(url)));
+
+        const loaded = [];
+        const errors = [];
+        results.forEach((result, i) => {
+            const url = urls[i];
+            try {
+                if (result.status === 'rejected') throw result.reason;
+                loaded.push(...this._register(result.value, url));
+            } catch (error) {
+                errors.push({ url, error });
+            }
+        });
+        return { loaded, errors };
+    }
+
+    // import() can't be cancelled; a module arriving after the timeout is simply not registered
+    _importWithTimeout(url) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`timed out after ${RESTORE_TIMEOUT / 1000}s`)), RESTORE_TIMEOUT);
+        });
+        return Promise.race([import(url), timeout]).finally(() => clearTimeout(timer));
+    }
+
+    // Register every visualizer the module exports. Loading a plugin id again replaces it
+    // (so an edited plugin can be reloaded); a contract violation registers nothing.
+    _register(mod, source) {
+        const candidates = [...new Set(Object.values(mod))]
+            .filter((v) => v && typeof v === 'object' && typeof v.id === 'string');
+        if (!candidates.length) throw new Error(`${source}: no visualizer exported`);
+
+        const replaced = [];
+        const registered = [];
+        try {
+            for (const vis of candidates) {
+                if (this.sources.has(vis.id)) replaced.push(unregisterVisualizer(vis.id));
+                registerVisualizer(vis);
+                registered.push(vis);
+            }
+        } catch (e) {
+            registered.forEach((vis) => unregisterVisualizer(vis.id));
+            replaced.forEach((vis) => vis && registerVisualizer(vis));
+            throw e;
+        }
+
+        registered.forEach((vis) => this.sources.set(vis.id, source));
+        return registered;
+    }
+
+    _readURLs() {
+        try {
+            const urls = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            return Array.isArray(urls) ? urls.filter((u) => typeof u === 'string') : [];
+        } catch (_) {
+            return [];
+        }
+    }
+
+    _writeURLs(urls) {
+        try {
+            if (urls.length) this.storage.setItem(STORAGE_KEY, JSON.stringify(urls));
+            else this.storage.removeItem(STORAGE_KEY);
+        } catch (e) {
+            console.error(e);
+        }
+    }
+}
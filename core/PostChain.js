@@ -0,0 +1,402 @@
+// Post Chain - WebGL2 post-processing of the composited output
+// The finished 2D frame (all layers, any visualizer type) is uploaded as a texture, run
+// through the enabled effects in settings.postOrder (ping-pong framebuffers), and the
+// result is drawn back over the output canvas. An effect is enabled when its amount
+// setting (settings[effect name]) is above 0.
+
+// Effect name -> label (names double as the amount setting keys)
+export const POST_EFFECTS = {
+    shake: 'Audio Shake',
+    feedback: 'Feedback Trails',
+    bloom: 'Bloom',
+    chromatic: 'Chromatic Aberration',
+    crt: 'CRT',
+    grain: 'Film Grain',
+    vignette: 'Vignette'
+};
+
+export const DEFAULT_POST_ORDER = ['shake', 'feedback', 'bloom', 'chromatic', 'crt', 'grain', 'vignette'];
+
+const BEAT_DECAY = 0.15; // seconds, pulse driving shake/chromatic
+
+const VERTEX_SOURCE = `#version 300 es
+out vec2 v_uv;
+void main() {
+    vec2 p = vec2((gl_VertexID << 1) & 2, gl_VertexID & 2);
+    v_uv = p;
+    gl_Position = vec4(p * 2.0 - 1.0, 0.0, 1.0);
+}`;
+
+const FRAGMENT_HEADER = `#version 300 es
+precision highp float;
+in vec2 v_uv;
+uniform sampler2D u_tex;
+uniform vec2 u_res;
+uniform float u_amount;
+uniform float u_time;
+out vec4 outColor;
+`;
+
+const FRAGMENT_SOURCES = {
+    copy: `
+void main() {
+    outColor = texture(u_tex, v_uv);
+}`,
+    shake: `
+uniform vec2 u_offset;
+void main() {
+    // Zoom in slightly so the shifted frame never shows its edge
+    vec2 uv = (v_uv - 0.5) * (1.0 - u_amount * 0.06) + 0.5 + u_offset;
+    outColor = texture(u_tex, uv);
+}`,
+    feedback: `
+uniform sampler2D u_prev;
+uniform float u_zoom;
+void main() {
+    vec2 uv = (v_uv - 0.5) * (1.0 - u_zoom) + 0.5;
+    vec4 cur = texture(u_tex, v_uv);
+    vec4 prev = texture(u_prev, uv);
+    outColor = vec4(max(cur.rgb, prev.rgb * u_amount), 1.0);
+}`,
+    bright: `
+uniform float u_threshold;
+void main() {
+    vec3 c = texture(u_tex, v_uv).rgb;
+    float l = max(c.r, max(c.g, c.b));
+    outColor = vec4(c * smoothstep(u_threshold, u_threshold + 0.1, l), 1.0);
+}`,
+    blur: `
+uniform vec2 u_dir;
+void main() {
+    // 9-tap gaussian along u_dir (in texels)
+    vec2 d = u_dir / u_res;
+    vec3 c = texture(u_tex, v_uv).rgb * 0.227027;
+    c += (texture(u_tex, v_uv + d * 1.384615).rgb + texture(u_tex, v_uv - d * 1.384615).rgb) * 0.316216;
+    c += (texture(u_tex, v_uv + d * 3.230769).rgb + texture(u_tex, v_uv - d * 3.230769).rgb) * 0.070270;
+    outColor = vec4(c, 1.0);
+}`,
+    bloom: `
+uniform sampler2D u_bloom;
+void main() {
+    vec4 base = texture(u_tex, v_uv);
+    outColor = vec4(base.rgb + texture(u_bloom, v_uv).rgb * u_amount * 2.0, 1.0);
+}`,
+    chromatic: `
+void main() {
+    vec2 d = (v_uv - 0.5) * u_amount * 0.03;
+    vec4 c = texture(u_tex, v_uv);
+    outColor = vec4(texture(u_tex, v_uv + d).r, c.g, texture(u_tex, v_uv - d).b, 1.0);
+}`,
+    crt: `
+void main() {
+    // Barrel curvature, scanlines and a faint RGB mask
+    vec2 p = v_uv - 0.5;
+    vec2 uv = 0.5 + p * (1.0 + dot(p, p) * u_amount * 0.3);
+    if (uv.x < 0.0 || uv.y < 0.0 || uv.x > 1.0 || uv.y > 1.0) {
+        outColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
+    }
+    vec3 c = texture(u_tex, uv).rgb;
+    float scan = 0.5 + 0.5 * sin(uv.y * u_res.y * 3.14159);
+    c *= mix(1.0, 0.6 + 0.4 * scan, u_amount);
+    float m = mod(gl_FragCoord.x, 3.0);
+    vec3 mask = vec3(m < 1.0 ? 1.0 : 0.85, m >= 1.0 && m < 2.0 ? 1.0 : 0.85, m >= 2.0 ? 1.0 : 0.85);
+    outColor = vec4(c * mix(vec3(1.0), mask, u_amount), 1.0);
+}`,
+    grain: `
+float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+}
+void main() {
+    vec3 c = texture(u_tex, v_uv).rgb;
+    float n = hash(gl_FragCoord.xy + fract(u_time * 7.13) * 100.0) - 0.5;
+    outColor = vec4(c + n * u_amount * 0.25, 1.0);
+}`,
+    vignette: `
+void main() {
+    vec3 c = texture(u_tex, v_uv).rgb;
+    float d = length((v_uv - 0.5) * vec2(u_res.x / u_res.y, 1.0));
+    outColor = vec4(c * (1.0 - u_amount * smoothstep(0.3, 0.9, d)), 1.0);
+}`
+};
+
+export class PostChain {
+    constructor() {
+        this.canvas = null;
+        this.gl = null;
+        this.error = null;      // set when WebGL2 or a shader is unavailable (chain stays off)
+
+        this._programs = null;  // name -> { program, uniforms }
+        this._vao = null;
+        this._input = null;     // texture holding the uploaded frame
+        this._targets = null;   // { ping, pong, history, historyNext, half1, half2 }
+        this._historyValid = false;
+        this._width = 0;
+        this._height = 0;
+
+        this._time = 0;
+        this._beat = 0;
+        this._shakeDir = [0, 0];
+    }
+
+    /**
+     * Names of the effects that would run, in order.
+     */
+    activeEffects(settings) {
+        const order = Array.isArray(settings.postOrder) ? settings.postOrder : DEFAULT_POST_ORDER;
+        return order.filter((name) => POST_EFFECTS[name] && settings[name] > 0);
+    }
+
+    /**
+     * Run the enabled effects over the frame in ctx.canvas and draw the result back onto it.
+     * Does nothing when no effect is enabled.
+     */
+    process(ctx, dt, audioFrame, settings) {
+        this._time += dt;
+        if (audioFrame.beat) {
+            this._beat = Math.max(this._beat, audioFrame.beatStrength || 1);
+            const angle = Math.random() * Math.PI * 2;
+            this._shakeDir = [Math.cos(angle), Math.sin(angle)];
+        } else {
+            this._beat *= Math.exp(-dt / BEAT_DECAY);
+        }
+
+        const effects = this.activeEffects(settings);
+        if (!effects.includes('feedback')) this._historyValid = false;
+        if (!effects.length || this.error) return;
+
+        const source = ctx.canvas;
+        if (!this.gl && !this._init()) return;
+        this._resize(source.width, source.height);
+
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this._input);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+
+        gl.bindVertexArray(this._vao);
+        gl.disable(gl.BLEND);
+        gl.disable(gl.DEPTH_TEST);
+
+        let read = this._input;
+        let write = this._targets.ping;
+        for (const name of effects) {
+            const amount = settings[name];
+            if (name === 'feedback') {
+                read = this._feedback(read, amount, settings);
+                continue;
+            }
+            if (name === 'bloom') {
+                this._bloom(read, write, amount, settings);
+            } else {
+                const uniforms = {};
+                if (name === 'shake') {
+                    const level = audioFrame.level || 0;
+                    const k = amount * (this._beat * 0.03 + level * 0.005);
+                    uniforms.u_offset = [this._shakeDir[0] * k, this._shakeDir[1] * k];
+                } else if (name === 'chromatic') {
+                    uniforms.u_amount = amount * (0.4 + this._beat);
+                }
+                this._pass(name, read, write, amount, uniforms);
+            }
+            read = write.texture;
+            write = write === this._targets.ping ? this._targets.pong : this._targets.ping;
+        }
+
+        this._pass('copy', read, null, 0);
+        gl.bindVertexArray(null);
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'copy';
+        ctx.drawImage(this.canvas, 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Forget feedback history (e.g. after a seek or export start).
+     */
+    reset() {
+        this._historyValid = false;
+        this._beat = 0;
+    }
+
+    dispose() {
+        this.gl?.getExtension('WEBGL_lose_context')?.loseContext();
+        this.gl = null;
+        this.canvas = null;
+        this._programs = null;
+        this._targets = null;
+        this._width = this._height = 0;
+    }
+
+    _init() {
+        // Also runs inside the render worker, where there is no document
+        this.canvas = typeof document !== 'undefined' ? document.createElement('canvas') : new OffscreenCanvas(1, 1);
+        const gl = this.canvas.getContext('webgl2', { alpha: false, antialias: false, premultipliedAlpha: false });
+        if (!gl) {
+            this.error = new Error('Post effects need WebGL2');
+            return false;
+        }
+        this.gl = gl;
+
+        try {
+            const vs = this._compileShader(gl.VERTEX_SHADER, VERTEX_SOURCE);
+            this._programs = {};
+            for (const [name, body] of Object.entries(FRAGMENT_SOURCES)) {
+                const fs = this._compileShader(gl.FRAGMENT_SHADER, FRAGMENT_HEADER + body);
+                const program = gl.createProgram();
+                gl.attachShader(program, vs);
+                gl.attachShader(program, fs);
+                gl.linkProgram(program);
+                gl.deleteShader(fs);
+                if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+                    throw new Error(`Post effect '${name}': ${gl.getProgramInfoLog(program)}`);
+                }
+                this._programs[name] = { program, uniforms: new Map() };
+            }
+            gl.deleteShader(vs);
+        } catch (e) {
+            this.error = e;
+            this.dispose();
+            return false;
+        }
+
+        this._vao = gl.createVertexArray();
+        this._input = this._createTexture(1, 1);
+        return true;
+    }
+
+    _resize(width, height) {
+        if (width === this._width && height === this._height) return;
+        const gl = this.gl;
+        this._width = width;
+        this._height = height;
+        this.canvas.width = width;
+        this.canvas.height = height;
+
+        if (this._targets) {
+            for (const target of Object.values(this._targets)) {
+                gl.deleteFramebuffer(target.fbo);
+                gl.deleteTexture(target.texture);
+            }
+        }
+        const hw = Math.max(1, width >> 1);
+        const hh = Math.max(1, height >> 1);
+        this._targets = {
+            ping: this._createTarget(width, height),
+            pong: this._createTarget(width, height),
+            history: this._createTarget(width, height),
+            historyNext: this._createTarget(width, height),
+            half1: this._createTarget(hw, hh),
+            half2: this._createTarget(hw, hh)
+        };
+        this._historyValid = false;
+    }
+
+    // Blend the frame with the previous feedback output; returns the texture holding the result
+    _feedback(read, amount, settings) {
+        const t = this._targets;
+        if (!this._historyValid) {
+            this._pass('copy', read, t.history, 0);
+            this._historyValid = true;
+        }
+        this._pass('feedback', read, t.historyNext, Math.min(amount, 0.98), {
+            u_prev: t.history.texture,
+            u_zoom: settings.feedbackZoom ?? 0.01
+        });
+        [t.history, t.historyNext] = [t.historyNext, t.history];
+        return t.history.texture;
+    }
+
+    // Threshold -> half-res separable blur -> add back over the frame
+    _bloom(read, write, amount, settings) {
+        const t = this._targets;
+        const radius = settings.bloomRadius ?? 1;
+        this._pass('bright', read, t.half1, amount, { u_threshold: settings.bloomThreshold ?? 0.6 });
+        for (let i = 0; i < 2; i++) {
+            this._pass('blur', t.half1.texture, t.half2, amount, { u_dir: [radius * (i + 1), 0] });
+            this._pass('blur', t.half2.texture, t.half1, amount, { u_dir: [0, radius * (i + 1)] });
+        }
+        this._pass('bloom', read, write, amount, { u_bloom: t.half1.texture });
+    }
+
+    // One full-screen pass; target null draws to the canvas. Sampler uniforms other than
+    // u_tex are bound to units 1+
+    _pass(name, inputTexture, target, amount, extra = {}) {
+        const gl = this.gl;
+        const entry = this._programs[name];
+        gl.useProgram(entry.program);
+
+        const width = target ? target.width : this._width;
+        const height = target ? target.height : this._height;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.fbo : null);
+        gl.viewport(0, 0, width, height);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, inputTexture);
+        gl.uniform1i(this._uniform(entry, 'u_tex'), 0);
+        gl.uniform2f(this._uniform(entry, 'u_res'), width, height);
+        gl.uniform1f(this._uniform(entry, 'u_amount'), amount);
+        gl.uniform1f(this._uniform(entry, 'u_time'), this._time);
+
+        let unit = 1;
+        for (const [key, value] of Object.entries(extra)) {
+            const loc = this._uniform(entry, key);
+            if (value instanceof WebGLTexture) {
+                gl.activeTexture(gl.TEXTURE0 + unit);
+                gl.bindTexture(gl.TEXTURE_2D, value);
+                gl.uniform1i(loc, unit++);
+            } else if (Array.isArray(value)) {
+                gl.uniform2f(loc, value[0], value[1]);
+            } else {
+                gl.uniform1f(loc, value);
+            }
+        }
+
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    _uniform(entry, name) {
+        if (!entry.uniforms.has(name)) entry.uniforms.set(name, this.gl.getUniformLocation(entry.program, name));
+        return entry.uniforms.get(name);
+    }
+
+    _createTexture(width, height) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    _createTarget(width, height) {
+        const gl = this.gl;
+        const texture = this._createTexture(width, height);
+        const fbo = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return { texture, fbo, width, height };
+    }
+
+    _compileShader(type, source) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error('Post shader error: ' + log);
+        }
+        return shader;
+    }
+}
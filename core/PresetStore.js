@@ -0,0 +1,110 @@
+// Preset Store - Named snapshots of VisualizerApp settings, persisted in localStorage
+// Presets are plain JSON: { version, name, visualizer, settings }. Images are embedded
+// as data URLs so an exported file is self-contained.
+
+const STORAGE_KEY = 'visualizer.presets';
+export const PRESET_VERSION = 2;
+
+export class PresetStore {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this._presets = this._read();
+    }
+
+    list() {
+        return Object.keys(this._presets).sort((a, b) => a.localeCompare(b));
+    }
+
+    get(name) {
+        const data = this._presets[name];
+        return data ? migrate(data) : null;
+    }
+
+    /**
+     * Save (or overwrite) a preset. Throws if storage is full (the store is left unchanged).
+     */
+    save(name, data) {
+        this._write({ ...this._presets, [name]: { ...data, name } });
+    }
+
+    remove(name) {
+        const presets = { ...this._presets };
+        delete presets[name];
+        this._write(presets);
+    }
+
+    toJSON(data) {
+        return JSON.stringify(data, null, 2);
+    }
+
+    /**
+     * Parse an imported preset file. Throws on anything that isn't a preset.
+     */
+    parse(text) {
+        const data = JSON.parse(text);
+        if (!data || typeof data !== 'object' || typeof data.settings !== 'object') {
+            throw new Error('Not a preset file');
+        }
+        if (data.version > PRESET_VERSION) {
+            throw new Error(`Preset version ${data.version} is newer than supported (${PRESET_VERSION})`);
+        }
+        return migrate(data);
+    }
+
+    _read() {
+        try {
+            return JSON.parse(this.storage.getItem(STORAGE_KEY)) || {};
+        } catch (_) {
+            return {};
+        }
+    }
+
+    // Presets are only replaced once storage took them, so a failed write changes nothing
+    _write(presets) {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(presets));
+        this._presets = presets;
+    }
+}
+
+/**
+ * Bring an older preset up to PRESET_VERSION.
+ * v1 -> v2: attack/release were per-frame factors (at ~60 Hz), now time constants in seconds.
+ */
+function migrate(data) {
+    if ((data.version || 1) >= PRESET_VERSION) return data;
+    const settings = { ...data.settings };
+
+    const toTime = (factor) => factor >= 1 ? 0 : factor <= 0 ? 1 : -1 / (60 * Math.log(1 - factor));
+    if (typeof settings.attack === 'number') settings.attackTime = toTime(settings.attack);
+    if (typeof settings.release === 'number') settings.releaseTime = toTime(settings.release);
+    delete settings.attack;
+    delete settings.release;
+
+    return { ...data, version: PRESET_VERSION, settings };
+}
+
+/**
+ * Encode an image element as a data URL (PNG) for embedding in presets.
+ */
+export function imageToDataURL(img) {
+    if (!img) return null;
+    if (img.src?.startsWith('data:')) return img.src;
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth || img.width;
+    canvas.height = img.naturalHeight || img.height;
+    canvas.getContext('2d').drawImage(img, 0, 0);
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Decode a data URL back into a loaded image element.
+ */
+export function dataURLToImage(url) {
+    if (!url) return Promise.resolve(null);
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Invalid image in preset'));
+        img.src = url;
+    });
+}
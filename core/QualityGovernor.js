@@ -0,0 +1,109 @@
+// Quality Governor - Adapts the internal resolution to hold settings.targetFPS
+// Over budget it first caps qualityScale (the 1080p..4K baseline), then scales renderScale
+// down; with headroom it gives resolution back in reverse order. The thresholds for going
+// down and up are far apart and each must hold for a while, so it doesn't oscillate.
+// It never writes the settings: resize() applies effectiveQuality()/effectiveRenderScale().
+
+const QUALITY_STEP = 0.25;
+const RENDER_STEP = 0.1;
+const MIN_RENDER_FACTOR = 0.5;
+
+const OVER_BUDGET = 1.15;   // frame interval above budget * this ...
+const BUSY = 0.75;          // ... while the frame's own work is above budget * this -> lower
+const HEADROOM = 0.5;       // work below budget * this -> raise
+const LOWER_AFTER = 1.0;    // seconds the condition must hold
+const RAISE_AFTER = 4.0;
+const COOLDOWN = 2.0;       // seconds after a change before the next one
+
+export class QualityGovernor {
+    constructor() {
+        this.qualityCap = 1;      // upper bound applied to settings.qualityScale
+        this.renderFactor = 1;    // multiplier applied to settings.renderScale
+        this.state = 'steady';    // 'steady' | 'lowering' | 'raising'
+
+        this._over = 0;
+        this._under = 0;
+        this._cooldown = 0;
+    }
+
+    effectiveQuality(settings) {
+        return Math.min(settings.qualityScale, this.qualityCap);
+    }
+
+    effectiveRenderScale(settings) {
+        return settings.renderScale * this.renderFactor;
+    }
+
+    get isReduced() {
+        return this.qualityCap < 1 || this.renderFactor < 1;
+    }
+
+    reset() {
+        this.qualityCap = 1;
+        this.renderFactor = 1;
+        this.state = 'steady';
+        this._over = this._under = this._cooldown = 0;
+    }
+
+    /**
+     * Feed one frame. Returns true when the resolution should change (call resize()).
+     * @param {number} dt - seconds since the previous frame
+     * @param {number} frameMs - average frame interval (getAverageFrameTime())
+     * @param {number} workMs - average time spent rendering a frame
+     * @param {object} settings - reads targetFPS, qualityScale, renderScale
+     */
+    update(dt, frameMs, workMs, settings) {
+        // Skip hiccups (tab switches, breakpoints) rather than reacting to them
+        if (dt > 0.5) return false;
+
+        const budget = 1000 / Math.max(1, settings.targetFPS || 60);
+        const over = frameMs > budget * OVER_BUDGET && workMs > budget * BUSY;
+        const under = workMs < budget * HEADROOM;
+
+        this._over = over ? this._over + dt : 0;
+        this._under = under ? this._under + dt : 0;
+        this.state = over ? 'lowering' : under && this.isReduced ? 'raising' : 'steady';
+
+        if (this._cooldown > 0) {
+            this._cooldown -= dt;
+            return false;
+        }
+
+        if (this._over >= LOWER_AFTER) return this._change(this._lower(settings));
+        if (this._under >= RAISE_AFTER && this.isReduced) return this._change(this._raise(settings));
+        return false;
+    }
+
+    _lower(settings) {
+        const quality = this.effectiveQuality(settings);
+        if (quality > 0) {
+            this.qualityCap = Math.max(0, quality - QUALITY_STEP);
+            return true;
+        }
+        if (this.renderFactor > MIN_RENDER_FACTOR) {
+            this.renderFactor = Math.max(MIN_RENDER_FACTOR, this.renderFactor - RENDER_STEP);
+            return true;
+        }
+        return false;
+    }
+
+    _raise(settings) {
+        if (this.renderFactor < 1) {
+            this.renderFactor = Math.min(1, this.renderFactor + RENDER_STEP);
+            return true;
+        }
+        if (this.qualityCap < settings.qualityScale) {
+            this.qualityCap = Math.min(1, this.qualityCap + QUALITY_STEP);
+            if (this.qualityCap >= settings.qualityScale) this.qualityCap = 1;
+            return true;
+        }
+        this.qualityCap = 1;
+        return false;
+    }
+
+    _change(changed) {
+        this._over = this._under = 0;
+        if (changed) this._cooldown = COOLDOWN;
+        return changed;
+    }
+}
@@ -0,0 +1,92 @@
+// Recorder - Real-time WebM capture of the composited output plus the audio source
+// Main + overlay canvases are flattened into one canvas each frame, since
+// captureStream() only sees a single canvas.
+
+const MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+export class Recorder {
+    constructor(app) {
+        this.app = app;
+        this.recording = false;
+
+        this._canvas = null;
+        this._ctx = null;
+        this._recorder = null;
+        this._audioDest = null;
+        this._chunks = [];
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    /**
+     * Start recording at the app's current internal resolution (aspect ratio + quality scale).
+     */
+    start({ fps = 60, videoBitsPerSecond = 12000000 } = {}) {
+        if (this.recording) return;
+        const app = this.app;
+
+        // Even dimensions keep VP8/VP9 happy
+        this._canvas = document.createElement('canvas');
+        this._canvas.width = app.renderWidth & ~1;
+        this._canvas.height = app.renderHeight & ~1;
+        this._ctx = this._canvas.getContext('2d');
+
+        const stream = this._canvas.captureStream(fps);
+
+        this._audioDest = app.audio.createStreamDestination();
+        if (this._audioDest) {
+            this._audioDest.stream.getAudioTracks().forEach((track) => stream.addTrack(track));
+        }
+
+        const mimeType = MIME_TYPES.find((t) => MediaRecorder.isTypeSupported(t)) || '';
+        this._chunks = [];
+        this._recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond });
+        this._recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) this._chunks.push(e.data);
+        };
+        this._recorder.start(1000);
+        this.recording = true;
+    }
+
+    /**
+     * Copy the current frame into the capture canvas. Called once per rendered frame.
+     */
+    captureFrame() {
+        if (!this.recording) return;
+        this._ctx.fillStyle = '#000';
+        this._ctx.fillRect(0, 0, this._canvas.width, this._canvas.height);
+        this.app.drawComposite(this._ctx, this._canvas.width, this._canvas.height);
+    }
+
+    /**
+     * Stop recording. Resolves with the WebM blob.
+     */
+    stop() {
+        if (!this.recording) return Promise.resolve(null);
+        this.recording = false;
+
+        return new Promise((resolve) => {
+            const recorder = this._recorder;
+            recorder.onstop = () => {
+                const blob = new Blob(this._chunks, { type: recorder.mimeType || 'video/webm' });
+                recorder.stream.getTracks().forEach((track) => track.stop());
+                this.app.audio.releaseStreamDestination(this._audioDest);
+
+                this._recorder = null;
+                this._audioDest = null;
+                this._canvas = null;
+                this._ctx = null;
+                this._chunks = [];
+                resolve(blob);
+            };
+            recorder.stop();
+        });
+    }
+}
@@ -0,0 +1,192 @@
+// Render Worker - Runs the layer stack + post effects in a worker on an OffscreenCanvas
+// The output canvas is transferred to core/render.worker.js, which owns its own LayerStack.
+// The main thread keeps the analyzer, timeline, mod matrix and the layer list, and posts one
+// snapshot per frame: audio (only the band counts / buffers the worker's visualizers asked
+// for), changed settings, the layer list and mod route values. While the worker is still
+// drawing, frames are merged (dt adds up) rather than queued.
+// Only visualizers marked workerSafe run here; the app decides when to use it.
+
+export class RenderWorker {
+    constructor() {
+        this.worker = null;
+        this.active = false;
+
+        // Called with { visId, phase, error, disabled, fallback } for visualizer errors,
+        // like LayerStack.onError; phase 'worker' means the worker itself failed (it is stopped)
+        this.onError = null;
+        // Called with (layerId, status) when a visualizer's status changes
+        this.onStatus = null;
+
+        this._reset();
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function';
+    }
+
+    /**
+     * Hand a fresh canvas (no context yet) over to a new worker. The canvas can't be drawn
+     * on from the main thread afterwards.
+     */
+    start(canvas) {
+        this.stop();
+        const offscreen = canvas.transferControlToOffscreen();
+        this.worker = new Worker(new URL('./render.worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (e) => this._onMessage(e.data);
+        this.worker.onerror = (e) => {
+            e.preventDefault();
+            this._fail(new Error(e.message || 'Render worker failed to start'));
+        };
+        this.worker.postMessage({ type: 'init', canvas: offscreen }, [offscreen]);
+        this.active = true;
+    }
+
+    stop() {
+        this.worker?.terminate();
+        this.worker = null;
+        this.active = false;
+        this._reset();
+    }
+
+    resize(width, height, dpr, renderScale) {
+        this.worker?.postMessage({ type: 'resize', width, height, dpr, renderScale });
+    }
+
+    /**
+     * Let a visualizer disabled by the failure guard run again.
+     */
+    enable(visId) {
+        this.worker?.postMessage({ type: 'enable', visId });
+    }
+
+    /**
+     * Post this frame to the worker (skipped, with dt carried over, while it is busy).
+     * @param {LayerStack} layers - the (detached) main-thread stack, for the layer list
+     * @param {ModMatrix} modMatrix - routes targeting visualizer params are applied in the worker
+     */
+    frame(dt, audioFrame, audio, layers, settings, modMatrix) {
+        if (!this.worker) return;
+        this._dt += dt;
+        this._beat = this._beat || audioFrame.beat;
+        if (this._busy) return;
+
+        const routes = modMatrix.toJSON();
+        const routesKey = JSON.stringify(routes);
+        const msg = {
+            type: 'frame',
+            dt: this._dt,
+            audioFrame: { ...audioFrame, beat: this._beat },
+            audio: this._audioSnapshot(audio, audioFrame),
+            settings: this._settingsChanges(settings),
+            layers: layers.layers.map((l) => ({
+                id: l.id,
+                visId: l.visId,
+                opacity: l.opacity,
+                blend: l.blend,
+                visible: l.visible,
+                transform: l.transform,
+                transition: l.transition
+            })),
+            routes: routesKey !== this._routesKey ? routes : null,
+            routeValues: modMatrix.routes.map((r) => r._value)
+        };
+        this._routesKey = routesKey;
+
+        this.worker.postMessage(msg);
+        this._busy = true;
+        this._dt = 0;
+        this._beat = false;
+    }
+
+    _reset() {
+        this._busy = false;
+        this._dt = 0;
+        this._beat = false;
+        this._needs = { bands: [], waveform: false, frequency: false, timeDomain: [] };
+        this._sent = new Map();   // settings key -> last posted value
+        this._images = new Map(); // settings key -> image posted as an ImageBitmap
+        this._routesKey = '';
+    }
+
+    _audioSnapshot(audio, audioFrame) {
+        const logBands = this._needs.bands.map(([n, channel]) =>
+            [n, channel, audio.getLogBands(n, audioFrame.audioParams, channel).slice()]);
+        return {
+            initialized: audio.isInitialized,
+            sampleRate: audio.sampleRate,
+            dt: this._dt,
+            level: audioFrame.level,
+            bands: audioFrame.bands,
+            stereo: audio.getStereo(),
+            logBands,
+            waveform: this._needs.waveform ? audio.getWaveformData().slice() : null,
+            frequency: this._needs.frequency ? audio.getFrequencyData().slice() : null,
+            timeDomain: this._needs.timeDomain.map((channel) => [channel, audio.getTimeDomainData(channel).slice()])
+        };
+    }
+
+    // Settings keys that changed since the last post. Images (logo) can't be cloned, so they
+    // go over as ImageBitmaps in a message of their own once decoded.
+    _settingsChanges(settings) {
+        let changes = null;
+        for (const [key, value] of Object.entries(settings)) {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                this._postImage(key, value);
+                continue;
+            }
+            const last = this._sent.get(key);
+            const same = Array.isArray(value)
+                ? Array.isArray(last) && last.length === value.length && last.every((v, i) => v === value[i])
+                : last === value && this._sent.has(key);
+            if (same) continue;
+
+            const copy = Array.isArray(value) ? value.slice() : value;
+            this._sent.set(key, copy);
+            this._images.delete(key);
+            (changes ||= {})[key] = copy;
+        }
+        return changes;
+    }
+
+    _postImage(key, image) {
+        if (this._images.get(key) === image) return;
+        this._images.set(key, image);
+        this._sent.delete(key);
+        createImageBitmap(image).then((bitmap) => {
+            if (this._images.get(key) !== image || !this.worker) return bitmap.close();
+            this.worker.postMessage({ type: 'settings', values: { [key]: bitmap } }, [bitmap]);
+        }).catch((e) => console.error(e));
+    }
+
+    _onMessage(msg) {
+        switch (msg.type) {
+            case 'frame':
+                this._busy = false;
+                break;
+            case 'needs':
+                this._needs = { bands: msg.bands, waveform: msg.waveform, frequency: msg.frequency, timeDomain: msg.timeDomain };
+                break;
+            case 'status':
+                for (const [layerId, status] of msg.statuses) this.onStatus?.(layerId, status);
+                break;
+            case 'error':
+                this.onError?.({
+                    visId: msg.visId,
+                    phase: msg.phase,
+                    error: new Error(msg.message),
+                    disabled: msg.disabled,
+                    fallback: msg.fallback
+                });
+                break;
+            case 'fatal':
+                this._fail(new Error(msg.message));
+                break;
+        }
+    }
+
+    _fail(error) {
+        this.stop();
+        this.onError?.({ visId: null, phase: 'worker', error, disabled: false, fallback: null });
+    }
+}
@@ -0,0 +1,162 @@
+// Timeline - Keyframe automation of settings across a track
+// Each track animates one settings entry: a number (e.g. 'glowAmount', 'gain') or a
+// '#rrggbb' color (e.g. 'baseColor', 'colorStops.2'). Evaluated every frame against the
+// audio time; values hold before the first and after the last keyframe.
+
+export const TIMELINE_VERSION = 1;
+
+// Easing of a keyframe shapes the segment from it to the next keyframe
+export const EASINGS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t,
+    easeOut: (t) => 1 - (1 - t) * (1 - t),
+    easeInOut: (t) => t * t * (3 - 2 * t),
+    step: () => 0
+};
+
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+const KEY_EPSILON = 0.001; // seconds; a key this close to another replaces it
+// Resolution settings only apply on resize(), which a per-frame automation value must not
+// trigger (it reallocates every canvas), so they aren't offered
+const NOT_AUTOMATABLE = new Set(['renderScale', 'qualityScale', 'maxDPR']);
+
+/**
+ * Settings paths that can be keyframed: numeric/color entries and colorStops.N.
+ */
+export function automatablePaths(settings) {
+    const paths = [];
+    for (const [key, value] of Object.entries(settings)) {
+        if (NOT_AUTOMATABLE.has(key)) continue;
+        if (typeof value === 'number' || (typeof value === 'string' && COLOR_RE.test(value))) {
+            paths.push(key);
+        } else if (Array.isArray(value)) {
+            value.forEach((v, i) => {
+                if (typeof v === 'number' || (typeof v === 'string' && COLOR_RE.test(v))) paths.push(`${key}.${i}`);
+            });
+        }
+    }
+    return paths;
+}
+
+export class Timeline {
+    constructor() {
+        this.enabled = true;
+        this.tracks = {}; // path -> [{ time, value, easing }] sorted by time
+    }
+
+    /**
+     * Add a keyframe (or replace the one at the same time).
+     */
+    setKey(path, time, value, easing = 'linear') {
+        if (!EASINGS[easing]) easing = 'linear';
+        const keys = this.tracks[path] || (this.tracks[path] = []);
+        const existing = keys.find((k) => Math.abs(k.time - time) < KEY_EPSILON);
+        if (existing) {
+            existing.value = value;
+            existing.easing = easing;
+        } else {
+            keys.push({ time, value, easing });
+            keys.sort((a, b) => a.time - b.time);
+        }
+    }
+
+    removeKey(path, time) {
+        const keys = this.tracks[path];
+        if (!keys) return;
+        const index = keys.findIndex((k) => Math.abs(k.time - time) < KEY_EPSILON);
+        if (index >= 0) keys.splice(index, 1);
+        if (!keys.length) delete this.tracks[path];
+    }
+
+    clear() {
+        this.tracks = {};
+    }
+
+    get isEmpty() {
+        return Object.keys(this.tracks).length === 0;
+    }
+
+    /**
+     * All keyframes flattened and sorted by time: [{ path, time, value, easing }]
+     */
+    listKeys() {
+        const out = [];
+        for (const [path, keys] of Object.entries(this.tracks)) {
+            for (const k of keys) out.push({ path, ...k });
+        }
+        return out.sort((a, b) => a.time - b.time || a.path.localeCompare(b.path));
+    }
+
+    valueAt(path, time) {
+        const keys = this.tracks[path];
+        if (!keys || !keys.length) return undefined;
+        if (time <= keys[0].time) return keys[0].value;
+        const last = keys[keys.length - 1];
+        if (time >= last.time) return last.value;
+
+        let i = 0;
+        while (keys[i + 1].time <= time) i++;
+        const a = keys[i];
+        const b = keys[i + 1];
+        const t = EASINGS[a.easing]((time - a.time) / (b.time - a.time));
+        return this._lerp(a.value, b.value, t);
+    }
+
+    /**
+     * Write every track's value at `time` into the settings object.
+     */
+    apply(settings, time) {
+        if (!this.enabled) return;
+        for (const path of Object.keys(this.tracks)) {
+            const value = this.valueAt(path, time);
+            if (value === undefined) continue;
+
+            const dot = path.indexOf('.');
+            if (dot < 0) {
+                if (path in settings) settings[path] = value;
+            } else {
+                const arr = settings[path.slice(0, dot)];
+                const index = parseInt(path.slice(dot + 1), 10);
+                if (Array.isArray(arr) && index < arr.length) arr[index] = value;
+            }
+        }
+    }
+
+    toJSON() {
+        return { version: TIMELINE_VERSION, enabled: this.enabled, tracks: this.tracks };
+    }
+
+    /**
+     * Load from toJSON() output. Throws on anything that isn't a timeline.
+     */
+    load(data) {
+        if (!data || typeof data !== 'object' || typeof data.tracks !== 'object') {
+            throw new Error('Not a timeline');
+        }
+        if (data.version > TIMELINE_VERSION) {
+            throw new Error(`Timeline version ${data.version} is newer than supported (${TIMELINE_VERSION})`);
+        }
+        this.clear();
+        this.enabled = data.enabled ?? true;
+        for (const [path, keys] of Object.entries(data.tracks)) {
+            if (!Array.isArray(keys)) continue;
+            for (const k of keys) {
+                if (typeof k?.time === 'number') this.setKey(path, k.time, k.value, k.easing);
+            }
+        }
+    }
+
+    _lerp(a, b, t) {
+        if (typeof a === 'number' && typeof b === 'number') return a + (b - a) * t;
+        if (COLOR_RE.test(a) && COLOR_RE.test(b)) {
+            let out = '#';
+            for (let i = 1; i < 7; i += 2) {
+                const ca = parseInt(a.slice(i, i + 2), 16);
+                const cb = parseInt(b.slice(i, i + 2), 16);
+                out += Math.round(ca + (cb - ca) * t).toString(16).padStart(2, '0');
+            }
+            return out;
+        }
+        return t < 1 ? a : b;
+    }
+}
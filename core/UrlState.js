@@ -0,0 +1,114 @@
+// URL State - Encode the active visualizer + non-default settings into the location hash
+// Format: #vis=mandelbrot&glowAmount=0.5&colorStops=%2300ff88,%230088ff
+// Values are typed by the default settings, so the hash stays short and hand-editable
+// (useful for OBS browser sources).
+
+const VIS_KEY = 'vis';
+const LAYERS_KEY = 'layers'; // JSON layer stack, only when it's more than one plain layer
+const SKIP_KEYS = new Set(['logoImage', 'albumImage']); // images don't fit in a URL
+
+export class UrlState {
+    /**
+     * @param {object} defaults - pristine settings object (captured before any changes)
+     */
+    constructor(defaults) {
+        this.defaults = JSON.parse(JSON.stringify(defaults, (key, value) =>
+            SKIP_KEYS.has(key) ? undefined : value));
+    }
+
+    /**
+     * Build a hash string (without '#') from the current state.
+     * @param {Array} [layers] - LayerStack.toJSON(); a single plain layer is encoded as vis= only
+     */
+    encode(visId, settings, layers = null) {
+        const params = new URLSearchParams();
+        if (layers && !(layers.length === 1 && Object.keys(layers[0]).length === 1)) {
+            params.set(LAYERS_KEY, JSON.stringify(layers));
+        } else if (visId) {
+            params.set(VIS_KEY, visId);
+        }
+
+        for (const [key, def] of Object.entries(this.defaults)) {
+            const value = settings[key];
+            if (value === undefined || this._equal(value, def)) continue;
+            params.set(key, this._serialize(value));
+        }
+        return params.toString();
+    }
+
+    /**
+     * Parse a hash string. Returns { visualizer, layers, settings } with only the keys present
+     * (layers is null unless the hash carries a layer stack).
+     */
+    decode(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const settings = {};
+
+        for (const [key, raw] of params) {
+            if (key === VIS_KEY || !(key in this.defaults)) continue;
+            const value = this._deserialize(raw, this.defaults[key]);
+            if (value !== undefined) settings[key] = value;
+        }
+
+        let layers = null;
+        if (params.has(LAYERS_KEY)) {
+            try {
+                const parsed = JSON.parse(params.get(LAYERS_KEY));
+                if (Array.isArray(parsed)) layers = parsed;
+            } catch (_) {}
+        }
+
+        return { visualizer: params.get(VIS_KEY), layers, settings };
+    }
+
+    /**
+     * Put every key a hash can carry back to its default, so applying a hash gives the same
+     * result whatever was set before. Arrays are refilled in place (UI bindings hold them).
+     */
+    resetSettings(settings) {
+        for (const [key, def] of Object.entries(this.defaults)) {
+            const value = JSON.parse(JSON.stringify(def));
+            if (Array.isArray(settings[key]) && Array.isArray(value)) {
+                settings[key].length = 0;
+                settings[key].push(...value);
+            } else {
+                settings[key] = value;
+            }
+        }
+    }
+
+    _serialize(value) {
+        if (typeof value === 'boolean') return value ? '1' : '0';
+        if (Array.isArray(value) && value.every((v) => typeof v !== 'object')) return value.join(',');
+        if (value !== null && typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    _deserialize(raw, def) {
+        if (typeof def === 'number') {
+            const n = parseFloat(raw);
+            return Number.isFinite(n) ? n : undefined;
+        }
+        if (typeof def === 'boolean') return raw === '1' || raw === 'true';
+        if (Array.isArray(def) && def.every((v) => typeof v !== 'object')) {
+            const parts = raw.split(',');
+            return typeof def[0] === 'number' ? parts.map(parseFloat) : parts;
+        }
+        if (def !== null && typeof def === 'object') {
+            try {
+                return JSON.parse(raw);
+            } catch (_) {
+                return undefined;
+            }
+        }
+        return raw;
+    }
+
+    _equal(a, b) {
+        if (a === b) return true;
+        if (typeof a === 'object' && typeof b === 'object') {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+        return false;
+    }
+}
@@ -0,0 +1,191 @@
+// Video Exporter - Offline, frame-accurate WebM export of a full track
+// Decodes the audio file, steps the app at a fixed dt with analysis driven by the
+// decoded samples, and encodes frames + original audio with WebCodecs.
+
+import { OfflineAudioAnalyzer } from '../audio/offline-analyzer.js';
+import { WebMWriter } from './WebMWriter.js';
+
+const EXPORT_SAMPLE_RATE = 48000; // Opus only runs at 48 kHz
+const KEYFRAME_INTERVAL = 2;      // seconds
+const MAX_ENCODE_QUEUE = 8;
+
+export class VideoExporter {
+    constructor(app) {
+        this.app = app;
+        this.running = false;
+        this._cancelled = false;
+    }
+
+    static isSupported() {
+        return typeof VideoEncoder !== 'undefined' && typeof AudioEncoder !== 'undefined';
+    }
+
+    cancel() {
+        this._cancelled = true;
+    }
+
+    /**
+     * Render and encode the whole file.
+     * @param {File|Blob} file - audio file
+     * @param {object} options - { fps, videoBitrate, audioBitrate, onProgress(0..1) }
+     * @returns {Promise<Blob|null>} WebM blob, or null if cancelled
+     */
+    async export(file, options = {}) {
+        const {
+            fps = 30,
+            videoBitrate = 12000000,
+            audioBitrate = 192000,
+            onProgress = () => {}
+        } = options;
+
+        this.running = true;
+        this._cancelled = false;
+
+        try {
+            const buffer = await this._decode(file);
+            const app = this.app;
+
+            // VP8/VP9 need even dimensions (4:2:0)
+            const width = app.renderWidth & ~1;
+            const height = app.renderHeight & ~1;
+
+            const video = await this._pickVideoCodec(width, height, fps, videoBitrate);
+            const channels = Math.min(2, buffer.numberOfChannels);
+
+            const writer = new WebMWriter({
+                video: { codec: video.trackCodec, width, height, frameRate: fps },
+                audio: { codec: 'A_OPUS', sampleRate: buffer.sampleRate, channels }
+            });
+
+            let encodeError = null;
+            const onError = (e) => (encodeError = e);
+
+            await this._encodeAudio(buffer, channels, audioBitrate, writer, onError);
+            if (encodeError) throw encodeError;
+
+            const videoEncoder = new VideoEncoder({
+                output: (chunk) => writer.addVideoChunk(chunk),
+                error: onError
+            });
+            // Closed on every way out, including an encode error mid-loop or a failed flush()
+            try {
+                videoEncoder.configure(video.config);
+
+                const frameCanvas = document.createElement('canvas');
+                frameCanvas.width = width;
+                frameCanvas.height = height;
+                const frameCtx = frameCanvas.getContext('2d');
+
+                const analyzer = new OfflineAudioAnalyzer();
+                analyzer.load(buffer);
+
+                const dt = 1 / fps;
+                const totalFrames = Math.ceil(buffer.duration * fps);
+                const frameDuration = Math.round(1e6 / fps);
+
+                app.beginOfflineRender(analyzer);
+                try {
+                    for (let i = 0; i < totalFrames; i++) {
+                        if (this._cancelled) break;
+                        if (encodeError) throw encodeError;
+
+                        const t = i * dt;
+                        analyzer.setTime(t);
+                        app.renderFrame(dt);
+                        app.drawComposite(frameCtx, width, height);
+
+                        const frame = new VideoFrame(frameCanvas, {
+                            timestamp: Math.round(t * 1e6),
+                            duration: frameDuration
+                        });
+                        videoEncoder.encode(frame, { keyFrame: i % (fps * KEYFRAME_INTERVAL) === 0 });
+                        frame.close();
+
+                        // Backpressure + let the UI breathe
+                        while (videoEncoder.encodeQueueSize > MAX_ENCODE_QUEUE) await this._yield();
+                        if (i % 10 === 0) {
+                            onProgress(i / totalFrames);
+                            await this._yield();
+                        }
+                    }
+                } finally {
+                    app.endOfflineRender();
+                }
+
+                if (this._cancelled) return null;
+                await videoEncoder.flush();
+            } finally {
+                if (videoEncoder.state !== 'closed') videoEncoder.close();
+            }
+            if (encodeError) throw encodeError;
+
+            onProgress(1);
+            return writer.finalize(totalFrames / fps);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async _decode(file) {
+        const data = await file.arrayBuffer();
+        // Decoding through a 48 kHz context resamples for the Opus encoder
+        const ctx = new OfflineAudioContext(2, 1, EXPORT_SAMPLE_RATE);
+        return ctx.decodeAudioData(data);
+    }
+
+    async _pickVideoCodec(width, height, fps, bitrate) {
+        const candidates = [
+            { codec: 'vp09.00.40.08', trackCodec: 'V_VP9' },
+            { codec: 'vp8', trackCodec: 'V_VP8' }
+        ];
+        for (const c of candidates) {
+            const config = { codec: c.codec, width, height, bitrate, framerate: fps };
+            const support = await VideoEncoder.isConfigSupported(config);
+            if (support.supported) return { config, trackCodec: c.trackCodec };
+        }
+        throw new Error(`No supported video codec for ${width}x${height}`);
+    }
+
+    async _encodeAudio(buffer, channels, bitrate, writer, onError) {
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => writer.addAudioChunk(chunk, metadata),
+            error: onError
+        });
+        try {
+            encoder.configure({
+                codec: 'opus',
+                sampleRate: buffer.sampleRate,
+                numberOfChannels: channels,
+                bitrate
+            });
+
+            const blockSize = 4800; // 100 ms
+            for (let offset = 0; offset < buffer.length; offset += blockSize) {
+                if (this._cancelled) break;
+                const frames = Math.min(blockSize, buffer.length - offset);
+                const planar = new Float32Array(frames * channels);
+                for (let c = 0; c < channels; c++) {
+                    planar.set(buffer.getChannelData(c).subarray(offset, offset + frames), c * frames);
+                }
+                const data = new AudioData({
+                    format: 'f32-planar',
+                    sampleRate: buffer.sampleRate,
+                    numberOfFrames: frames,
+                    numberOfChannels: channels,
+                    timestamp: Math.round(offset / buffer.sampleRate * 1e6),
+                    data: planar
+                });
+                encoder.encode(data);
+                data.close();
+            }
+
+            await encoder.flush();
+        } finally {
+            if (encoder.state !== 'closed') encoder.close();
+        }
+    }
+
+    _yield() {
+        return new Promise((resolve) => setTimeout(resolve, 0));
+    }
+}
@@ -0,0 +1,235 @@
+// WebM Writer - Minimal Matroska muxer for WebCodecs output (one video + one audio track)
+// Everything is buffered in memory and written on finalize(), so element sizes are exact.
+
+const ID = {
+    EBML: [0x1A, 0x45, 0xDF, 0xA3],
+    EBMLVersion: [0x42, 0x86],
+    EBMLReadVersion: [0x42, 0xF7],
+    EBMLMaxIDLength: [0x42, 0xF2],
+    EBMLMaxSizeLength: [0x42, 0xF3],
+    DocType: [0x42, 0x82],
+    DocTypeVersion: [0x42, 0x87],
+    DocTypeReadVersion: [0x42, 0x85],
+    Segment: [0x18, 0x53, 0x80, 0x67],
+    Info: [0x15, 0x49, 0xA9, 0x66],
+    TimecodeScale: [0x2A, 0xD7, 0xB1],
+    MuxingApp: [0x4D, 0x80],
+    WritingApp: [0x57, 0x41],
+    Duration: [0x44, 0x89],
+    Tracks: [0x16, 0x54, 0xAE, 0x6B],
+    TrackEntry: [0xAE],
+    TrackNumber: [0xD7],
+    TrackUID: [0x73, 0xC5],
+    TrackType: [0x83],
+    CodecID: [0x86],
+    CodecPrivate: [0x63, 0xA2],
+    DefaultDuration: [0x23, 0xE3, 0x83],
+    Video: [0xE0],
+    PixelWidth: [0xB0],
+    PixelHeight: [0xBA],
+    Audio: [0xE1],
+    SamplingFrequency: [0xB5],
+    Channels: [0x9F],
+    Cluster: [0x1F, 0x43, 0xB6, 0x75],
+    Timecode: [0xE7],
+    SimpleBlock: [0xA3]
+};
+
+const VIDEO_TRACK = 1;
+const AUDIO_TRACK = 2;
+const MAX_CLUSTER_SPAN_MS = 30000; // SimpleBlock timecodes are int16 relative to the cluster
+
+export class WebMWriter {
+    /**
+     * @param {object} options
+     *   video: { codec: 'V_VP9' | 'V_VP8', width, height, frameRate }
+     *   audio: { codec: 'A_OPUS', sampleRate, channels } (optional)
+     */
+    constructor(options) {
+        this.video = options.video;
+        this.audio = options.audio || null;
+        this.audioCodecPrivate = null;
+        this._chunks = [];  // { track, timestamp (us), key, data }
+    }
+
+    addVideoChunk(chunk) {
+        this._chunks.push(this._copyChunk(VIDEO_TRACK, chunk));
+    }
+
+    addAudioChunk(chunk, metadata) {
+        if (metadata?.decoderConfig?.description && !this.audioCodecPrivate) {
+            this.audioCodecPrivate = new Uint8Array(metadata.decoderConfig.description);
+        }
+        this._chunks.push(this._copyChunk(AUDIO_TRACK, chunk));
+    }
+
+    /**
+     * Build the file. Returns a Blob of type video/webm.
+     */
+    finalize(durationSeconds) {
+        const chunks = this._chunks.slice().sort((a, b) => a.timestamp - b.timestamp || a.track - b.track);
+
+        const header = this._element(ID.EBML, [
+            this._uint(ID.EBMLVersion, 1),
+            this._uint(ID.EBMLReadVersion, 1),
+            this._uint(ID.EBMLMaxIDLength, 4),
+            this._uint(ID.EBMLMaxSizeLength, 8),
+            this._string(ID.DocType, 'webm'),
+            this._uint(ID.DocTypeVersion, 2),
+            this._uint(ID.DocTypeReadVersion, 2)
+        ]);
+
+        const info = this._element(ID.Info, [
+            this._uint(ID.TimecodeScale, 1000000), // 1 ms
+            this._string(ID.MuxingApp, 'visualizer-web'),
+            this._string(ID.WritingApp, 'visualizer-web'),
+            this._float(ID.Duration, durationSeconds * 1000)
+        ]);
+
+        const body = [info, this._tracks(), ...this._clusters(chunks)];
+        const segment = this._element(ID.Segment, body);
+
+        return new Blob([...header.parts, ...segment.parts], { type: 'video/webm' });
+    }
+
+    _tracks() {
+        const v = this.video;
+        const entries = [
+            this._element(ID.TrackEntry, [
+                this._uint(ID.TrackNumber, VIDEO_TRACK),
+                this._uint(ID.TrackUID, VIDEO_TRACK),
+                this._uint(ID.TrackType, 1),
+                this._string(ID.CodecID, v.codec),
+                this._uint(ID.DefaultDuration, Math.round(1e9 / v.frameRate)),
+                this._element(ID.Video, [
+                    this._uint(ID.PixelWidth, v.width),
+                    this._uint(ID.PixelHeight, v.height)
+                ])
+            ])
+        ];
+
+        if (this.audio) {
+            const a = this.audio;
+            entries.push(this._element(ID.TrackEntry, [
+                this._uint(ID.TrackNumber, AUDIO_TRACK),
+                this._uint(ID.TrackUID, AUDIO_TRACK),
+                this._uint(ID.TrackType, 2),
+                this._string(ID.CodecID, a.codec),
+                this._bytes(ID.CodecPrivate, this.audioCodecPrivate || this._opusHead(a)),
+                this._element(ID.Audio, [
+                    this._float(ID.SamplingFrequency, a.sampleRate),
+                    this._uint(ID.Channels, a.channels)
+                ])
+            ]));
+        }
+
+        return this._element(ID.Tracks, entries);
+    }
+
+    // A new cluster starts at every video keyframe, or when relative timecodes would overflow
+    _clusters(chunks) {
+        const clusters = [];
+        let blocks = null;
+        let clusterTime = 0;
+
+        for (const c of chunks) {
+            const time = Math.round(c.timestamp / 1000);
+            const startNew = !blocks ||
+                (c.track === VIDEO_TRACK && c.key) ||
+                time - clusterTime > MAX_CLUSTER_SPAN_MS;
+
+            if (startNew) {
+                if (blocks) clusters.push(this._element(ID.Cluster, blocks));
+                clusterTime = time;
+                blocks = [this._uint(ID.Timecode, clusterTime)];
+            }
+
+            const head = new Uint8Array(4);
+            head[0] = 0x80 | c.track;
+            const rel = time - clusterTime;
+            head[1] = (rel >> 8) & 0xFF;
+            head[2] = rel & 0xFF;
+            head[3] = c.key ? 0x80 : 0x00;
+            blocks.push(this._element(ID.SimpleBlock, [{ parts: [head, c.data], size: 4 + c.data.length }]));
+        }
+
+        if (blocks) clusters.push(this._element(ID.Cluster, blocks));
+        return clusters;
+    }
+
+    _copyChunk(track, chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        return { track, timestamp: chunk.timestamp, key: chunk.type === 'key', data };
+    }
+
+    // Fallback Opus identification header (RFC 7845) when the encoder gives no description
+    _opusHead(a) {
+        const head = new Uint8Array(19);
+        const view = new DataView(head.buffer);
+        head.set([0x4F, 0x70, 0x75, 0x73, 0x48, 0x65, 0x61, 0x64], 0); // 'OpusHead'
+        head[8] = 1;
+        head[9] = a.channels;
+        view.setUint16(10, 312, true);
+        view.setUint32(12, a.sampleRate, true);
+        view.setInt16(16, 0, true);
+        head[18] = 0;
+        return head;
+    }
+
+    // --- EBML encoding ---
+    // Elements are { parts: Uint8Array[], size } so large payloads are never copied.
+
+    _element(id, children) {
+        let size = 0;
+        for (const c of children) size += c.size;
+        const head = this._concat(Uint8Array.from(id), this._vint(size));
+        const parts = [head];
+        for (const c of children) parts.push(...c.parts);
+        return { parts, size: head.length + size };
+    }
+
+    _bytes(id, data) {
+        return this._element(id, [{ parts: [data], size: data.length }]);
+    }
+
+    _uint(id, value) {
+        const bytes = [];
+        let v = value;
+        do {
+            bytes.unshift(v % 256);
+            v = Math.floor(v / 256);
+        } while (v > 0);
+        return this._bytes(id, Uint8Array.from(bytes));
+    }
+
+    _float(id, value) {
+        const data = new Uint8Array(8);
+        new DataView(data.buffer).setFloat64(0, value);
+        return this._bytes(id, data);
+    }
+
+    _string(id, value) {
+        return this._bytes(id, new TextEncoder().encode(value));
+    }
+
+    _vint(size) {
+        let length = 1;
+        while (length < 8 && size >= Math.pow(2, 7 * length) - 1) length++;
+        const out = new Uint8Array(length);
+        let v = size;
+        for (let i = length - 1; i >= 0; i--) {
+            out[i] = v % 256;
+            v = Math.floor(v / 256);
+        }
+        out[0] |= 0x80 >> (length - 1);
+        return out;
+    }
+
+    _concat(a, b) {
+        const out = new Uint8Array(a.length + b.length);
+        out.set(a, 0);
+        out.set(b, a.length);
+        return out;
+    }
+}
@@ -0,0 +1,141 @@
+// Render worker entry - see core/RenderWorker.js for the main-thread side
+// Mirrors the main thread's layer list into its own LayerStack (layer ids are the main
+// thread's), renders it with the posted audio snapshot, then runs the post chain.
+import { LayerStack } from './LayerStack.js';
+import { PostChain } from './PostChain.js';
+import { ModMatrix } from './ModMatrix.js';
+import { RemoteAudio } from '../audio/remote.js';
+
+const audio = new RemoteAudio();
+const settings = {};
+const layers = new LayerStack();
+const post = new PostChain();
+const modMatrix = new ModMatrix();
+
+const byId = new Map();     // main-thread layer id -> worker layer
+const failed = new Map();   // main-thread layer id -> visId that could not be added
+const statuses = new Map(); // main-thread layer id -> last reported status
+let ctx = null;
+let postErrorReported = false;
+
+layers.modulator = modMatrix;
+layers.onError = ({ visId, phase, error, disabled, fallback }) => {
+    postMessage({ type: 'error', visId, phase, message: String(error?.message || error), disabled, fallback });
+};
+audio.onNeeds = (needs) => postMessage({ type: 'needs', ...needs });
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    try {
+        switch (msg.type) {
+            case 'init':
+                ctx = msg.canvas.getContext('2d');
+                layers.attach({ audio }, settings);
+                break;
+            case 'resize':
+                ctx.canvas.width = msg.width;
+                ctx.canvas.height = msg.height;
+                layers.resize(msg.width, msg.height, msg.dpr, msg.renderScale);
+                break;
+            case 'settings':
+                Object.assign(settings, msg.values);
+                break;
+            case 'enable':
+                layers.disabled.delete(msg.visId);
+                break;
+            case 'frame':
+                renderFrame(msg);
+                postMessage({ type: 'frame' });
+                break;
+        }
+    } catch (error) {
+        console.error(error);
+        postMessage({ type: 'fatal', message: String(error?.message || error) });
+    }
+};
+
+function renderFrame(msg) {
+    if (msg.settings) Object.assign(settings, msg.settings);
+    audio.receive(msg.audio);
+
+    if (msg.routes) modMatrix.load(msg.routes);
+    msg.routeValues.forEach((value, i) => {
+        if (modMatrix.routes[i]) modMatrix.routes[i]._value = value;
+    });
+
+    syncLayers(msg.layers);
+
+    // Background once under the whole stack (as in App.renderFrame)
+    const { width, height } = ctx.canvas;
+    ctx.clearRect(0, 0, width, height);
+    ctx.globalAlpha = settings.bgAlpha;
+    ctx.fillStyle = settings.bgColor;
+    ctx.fillRect(0, 0, width, height);
+    ctx.globalAlpha = 1;
+
+    layers.render(msg.dt, msg.audioFrame, ctx);
+
+    post.process(ctx, msg.dt, msg.audioFrame, settings);
+    if (post.error && !postErrorReported) {
+        postErrorReported = true;
+        postMessage({ type: 'error', visId: null, phase: 'post', message: post.error.message, disabled: false, fallback: null });
+    }
+
+    reportStatuses();
+}
+
+// Match the worker's stack to the main thread's layer list
+function syncLayers(list) {
+    const ids = new Set(list.map((d) => d.id));
+    for (const [id, layer] of byId) {
+        if (ids.has(id)) continue;
+        layers.remove(layer.id);
+        byId.delete(id);
+        statuses.delete(id);
+    }
+    for (const id of failed.keys()) {
+        if (!ids.has(id)) failed.delete(id);
+    }
+
+    let index = 0;
+    for (const desc of list) {
+        let layer = byId.get(desc.id);
+        try {
+            if (!layer) {
+                if (failed.get(desc.id) === desc.visId) continue;
+                layer = layers.add(desc.visId, desc);
+                byId.set(desc.id, layer);
+                failed.delete(desc.id);
+                layer.requested = desc.visId;
+            } else if (layer.requested !== desc.visId) {
+                // The failure guard may already have switched this layer to the fallback
+                layer.requested = desc.visId;
+                if (layer.visId !== desc.visId) layers.setVisualizer(layer.id, desc.visId, desc.transition);
+            }
+        } catch (error) {
+            failed.set(desc.id, desc.visId);
+            layers.onError({ visId: desc.visId, phase: 'init', error, disabled: false, fallback: null });
+            continue;
+        }
+
+        layer.opacity = desc.opacity;
+        layer.blend = desc.blend;
+        layer.visible = desc.visible;
+        Object.assign(layer.transform, desc.transform);
+
+        const at = layers.layers.indexOf(layer);
+        if (at !== index) layers.move(layer.id, index - at);
+        index++;
+    }
+}
+
+function reportStatuses() {
+    const changed = [];
+    for (const [id, layer] of byId) {
+        const status = layer.vis?.status || null;
+        if ((statuses.get(id) ?? null) === status) continue;
+        statuses.set(id, status);
+        changed.push([id, status]);
+    }
+    if (changed.length) postMessage({ type: 'status', statuses: changed });
+}
@@ -5,6 +5,17 @@ export const Bars2D = {
     id: 'bars2d',
     name: '2D Spectrum Bars',
     type: '2d',
+    workerSafe: true,
+    
+    params: {
+        barMode: {
+            type: 'select', label: 'Bar Mode', group: 'Bars', default: 'solid',
+            options: [['solid', 'Solid'], ['blocks', 'Blocks']]
+        },
+        segmentHeight: { type: 'range', label: 'Segment Height', group: 'Bars', default: 8, min: 4, max: 20, step: 1 },
+        segmentGap: { type: 'range', label: 'Segment Gap', group: 'Bars', default: 2, min: 1, max: 6, step: 1 },
+        roundedBlocks: { type: 'checkbox', label: 'Rounded Blocks', group: 'Bars', default: false }
+    },
     
     _ctx: null,
     _settings: null,
@@ -15,12 +26,14 @@ export const Bars2D = {
     _audioParams: null,
     _time: 0,
     _hueOffset: 0,
+    _flash: 0,
     
     init(ctx, services, settings) {
         this._ctx = ctx.ctx2d;
         this._settings = settings;
         this._audio = services.audio;
         this._hueOffset = Math.random() * 360;
+        this._flash = 0;
     },
     
     resize(w, h) {
@@ -32,6 +45,10 @@ export const Bars2D = {
         this._audioParams = audioFrame.audioParams;
         this._time += dt;
         this._hueOffset = (this._hueOffset + dt * 30) % 360;
+        
+        // Beat flash: jump on the beat, fade out quickly
+        if (audioFrame.beat) this._flash = Math.max(this._flash, 0.4 + audioFrame.beatStrength * 0.6);
+        this._flash *= Math.exp(-dt * 8);
     },
     
     _getColorForPosition(t, index) {
@@ -105,6 +122,11 @@ export const Bars2D = {
         }
         
         ctx.fillRect(x, y, w, h);
+        
+        if (this._flash > 0.01) {
+            ctx.fillStyle = `rgba(255,255,255,${this._flash * 0.35})`;
+            ctx.fillRect(x, y, w, h);
+        }
     },
     
     _renderBlocks(ctx, x, y, barW, barH, index) {
@@ -127,6 +149,12 @@ export const Bars2D = {
             } else {
                 ctx.fillRect(x, segY, barW, segH);
             }
+            
+            if (this._flash > 0.01) {
+                ctx.fillStyle = `rgba(255,255,255,${this._flash * 0.35})`;
+                if (s.roundedBlocks) this._roundRect(ctx, x, segY, barW, segH, 2);
+                else ctx.fillRect(x, segY, barW, segH);
+            }
         }
     },
     
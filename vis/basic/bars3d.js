@@ -5,6 +5,7 @@ export const Bars3D = {
     id: 'bars3d',
     name: '3D Spectrum Bars',
     type: 'webgl2',
+    workerSafe: true,
     
     _gl: null,
     _settings: null,
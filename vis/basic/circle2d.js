@@ -5,6 +5,16 @@ export const Circle2D = {
     id: 'circle2d',
     name: '2D Circle Spectrum',
     type: '2d',
+    workerSafe: true,
+    
+    params: {
+        barMode: {
+            type: 'select', label: 'Bar Mode', group: 'Bars', default: 'solid',
+            options: [['solid', 'Solid'], ['blocks', 'Blocks']]
+        },
+        segmentHeight: { type: 'range', label: 'Segment Height', group: 'Bars', default: 8, min: 4, max: 20, step: 1 },
+        segmentGap: { type: 'range', label: 'Segment Gap', group: 'Bars', default: 2, min: 1, max: 6, step: 1 }
+    },
     
     _ctx: null,
     _settings: null,
@@ -5,6 +5,7 @@ export const Circle3D = {
     id: 'circle3d',
     name: '3D Circle Spectrum',
     type: 'webgl2',
+    workerSafe: true,
     
     _gl: null,
     _settings: null,
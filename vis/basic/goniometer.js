@@ -0,0 +1,229 @@
+/**
+ * Goniometer Visualizer - left vs right from the time domain (XY / Lissajous scope)
+ * Mid/side view turns the plot 45° so mono stands vertical and out-of-phase content lies
+ * flat; XY puts L on x and R on y. Meters: phase correlation, stereo width and per-channel
+ * band levels. The real-audio counterpart to the synthetic curves in Parabola.
+ */
+const TRAIL_GROUPS = 6; // samples drawn in this many alpha steps (old -> new)
+const MARGIN = 0.02;    // of the canvas height, kept clear above and below
+
+// Vertical extent from the scope center, in px, for a scope of radius r: the 'M'/'R' label
+// above, the correlation bar and its readout below (see _drawGrid/_drawMeters)
+const extentAbove = (r) => r * 1.08 + Math.max(10, Math.round(r * 0.06)) / 2;
+const extentBelow = (r) => r * 1.15 + Math.max(4, r * 0.04) * 1.5 + Math.max(10, Math.round(r * 0.05));
+
+export const Goniometer = {
+    id: 'goniometer',
+    name: 'Goniometer (Stereo XY)',
+    type: '2d',
+    workerSafe: true,
+
+    params: {
+        gonioMode: {
+            type: 'select', label: 'View', group: 'Goniometer', default: 'midside',
+            options: [['midside', 'Mid/Side (45°)'], ['xy', 'XY (L/R)']]
+        },
+        gonioSamples: { type: 'range', label: 'Samples', group: 'Goniometer', default: 2048, min: 256, max: 4096, step: 256 },
+        gonioGain: { type: 'range', label: 'Gain', group: 'Goniometer', default: 1.5, min: 0.5, max: 8, step: 0.1 },
+        gonioMeters: { type: 'checkbox', label: 'Meters', group: 'Goniometer', default: true }
+    },
+
+    _ctx: null,
+    _settings: null,
+    _audio: null,
+    _width: 0,
+    _height: 0,
+    _audioParams: null,
+
+    _stereo: null,        // { correlation, width } of the current frame
+    _levelL: 0,
+    _levelR: 0,
+
+    init(ctx, services, settings) {
+        this._ctx = ctx.ctx2d;
+        this._settings = settings;
+        this._audio = services.audio;
+        this._stereo = { correlation: 0, width: 0 };
+        this._levelL = 0;
+        this._levelR = 0;
+    },
+
+    resize(w, h) {
+        this._width = w;
+        this._height = h;
+    },
+
+    update(dt, audioFrame) {
+        this._audioParams = audioFrame.audioParams;
+        if (audioFrame.stereo) this._stereo = audioFrame.stereo;
+        if (!this._audioParams) return;
+
+        const left = this._audio.getLogBands(8, this._audioParams, 0);
+        const right = this._audio.getLogBands(8, this._audioParams, 1);
+        this._levelL = left.reduce((a, b) => a + b, 0) / 8;
+        this._levelR = right.reduce((a, b) => a + b, 0) / 8;
+    },
+
+    render() {
+        const ctx = this._ctx;
+        const s = this._settings;
+        const w = this._width;
+        const h = this._height;
+        if (w === 0 || h === 0) return;
+
+        const left = this._audio.getTimeDomainData(0);
+        const right = this._audio.getTimeDomainData(1);
+        const available = Math.min(left.length, right.length);
+        const color = s.baseColor || '#00ff88';
+        const meters = s.gonioMeters !== false;
+        const { cx, cy, radius } = this._layout(w, h, meters);
+
+        ctx.save();
+        this._drawGrid(cx, cy, radius, color);
+
+        if (available > 1) {
+            const count = Math.min(available, Math.round(s.gonioSamples || 2048));
+            const first = available - count;
+            const gain = (s.gonioGain || 1.5) * radius;
+            const midSide = (s.gonioMode || 'midside') === 'midside';
+
+            if (s.glowAmount > 0) {
+                ctx.shadowColor = color;
+                ctx.shadowBlur = s.glowAmount * 20;
+            }
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.lineJoin = 'round';
+
+            const groupSize = Math.ceil(count / TRAIL_GROUPS);
+            for (let g = 0; g * groupSize < count - 1; g++) {
+                const from = first + g * groupSize;
+                const to = Math.min(available - 1, from + groupSize);
+                ctx.globalAlpha = 0.15 + 0.85 * (g + 1) / TRAIL_GROUPS;
+                ctx.beginPath();
+                for (let i = from; i <= to; i++) {
+                    let x = left[i];
+                    let y = right[i];
+                    if (midSide) {
+                        // side -> x (R right), mid -> up
+                        const side = (y - x) * Math.SQRT1_2;
+                        y = (x + y) * Math.SQRT1_2;
+                        x = side;
+                    }
+                    x = Math.max(-radius, Math.min(radius, x * gain));
+                    y = Math.max(-radius, Math.min(radius, y * gain));
+                    if (i === from) ctx.moveTo(cx + x, cy - y);
+                    else ctx.lineTo(cx + x, cy - y);
+                }
+                ctx.stroke();
+            }
+            ctx.globalAlpha = 1;
+            ctx.shadowBlur = 0;
+        }
+
+        if (meters) this._drawMeters(cx, cy, radius, color);
+        ctx.restore();
+    },
+
+    dispose() {
+        this._ctx = null;
+        this._audio = null;
+    },
+
+    // Scope center + radius. With meters, the scope shrinks and moves up so the bar and the
+    // correlation/width readout under it stay on the canvas (and the level bars beside it)
+    _layout(w, h, meters) {
+        if (!meters) return { cx: w / 2, cy: h / 2, radius: Math.min(w, h) * 0.42 };
+
+        const room = h * (1 - 2 * MARGIN);
+        let radius = Math.min(w / 2.6, room / 2.5);
+        // Text and bar have minimum pixel sizes, so shrink until everything fits
+        for (let i = 0; i < 4 && extentAbove(radius) + extentBelow(radius) > room; i++) {
+            radius *= room / (extentAbove(radius) + extentBelow(radius));
+        }
+        const used = extentAbove(radius) + extentBelow(radius);
+        return { cx: w / 2, cy: h * MARGIN + (room - used) / 2 + extentAbove(radius), radius };
+    },
+
+    // Axes (L/R diagonals in mid/side view, L/R axes in XY view) and the unit circle
+    _drawGrid(cx, cy, radius, color) {
+        const ctx = this._ctx;
+        const midSide = (this._settings.gonioMode || 'midside') === 'midside';
+        const d = radius * Math.SQRT1_2;
+
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.globalAlpha = 0.15;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.moveTo(cx - radius, cy);
+        ctx.lineTo(cx + radius, cy);
+        ctx.moveTo(cx, cy - radius);
+        ctx.lineTo(cx, cy + radius);
+        if (midSide) {
+            ctx.moveTo(cx - d, cy - d);
+            ctx.lineTo(cx + d, cy + d);
+            ctx.moveTo(cx + d, cy - d);
+            ctx.lineTo(cx - d, cy + d);
+        }
+        ctx.stroke();
+
+        ctx.globalAlpha = 0.5;
+        ctx.font = `${Math.max(10, Math.round(radius * 0.06))}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const label = radius * 1.08;
+        if (midSide) {
+            ctx.fillText('L', cx - d * 1.08, cy - d * 1.08);
+            ctx.fillText('R', cx + d * 1.08, cy - d * 1.08);
+            ctx.fillText('M', cx, cy - label);
+        } else {
+            ctx.fillText('L', cx + label, cy);
+            ctx.fillText('R', cx, cy - label);
+        }
+        ctx.globalAlpha = 1;
+    },
+
+    // Correlation bar (-1..+1) under the scope, width readout, L/R level bars at the sides
+    _drawMeters(cx, cy, radius, color) {
+        const ctx = this._ctx;
+        const { correlation, width } = this._stereo;
+        const barW = radius * 2;
+        const barH = Math.max(4, radius * 0.04);
+        const top = cy + radius * 1.15;
+
+        ctx.globalAlpha = 0.25;
+        ctx.fillStyle = color;
+        ctx.fillRect(cx - barW / 2, top, barW, barH);
+
+        // Fill from center toward the value; out of phase (< 0) warns in red
+        ctx.globalAlpha = 0.9;
+        ctx.fillStyle = correlation < 0 ? '#ff4040' : color;
+        const x = correlation * barW / 2;
+        ctx.fillRect(Math.min(cx, cx + x), top, Math.abs(x), barH);
+
+        ctx.font = `${Math.max(10, Math.round(radius * 0.05))}px sans-serif`;
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = color;
+        ctx.textAlign = 'left';
+        ctx.fillText('-1', cx - barW / 2, top + barH * 1.5);
+        ctx.textAlign = 'right';
+        ctx.fillText('+1', cx + barW / 2, top + barH * 1.5);
+        ctx.textAlign = 'center';
+        ctx.fillText(`corr ${correlation.toFixed(2)}  width ${Math.round(width * 100)}%`, cx, top + barH * 1.5);
+
+        // Channel levels from the per-channel log bands
+        const levelH = radius * 2;
+        const levelW = Math.max(4, radius * 0.04);
+        for (const [level, side] of [[this._levelL, -1], [this._levelR, 1]]) {
+            const lx = cx + side * radius * 1.2 - levelW / 2;
+            ctx.globalAlpha = 0.25;
+            ctx.fillRect(lx, cy - radius, levelW, levelH);
+            ctx.globalAlpha = 0.9;
+            const filled = Math.min(1, level) * levelH;
+            ctx.fillRect(lx, cy + radius - filled, levelW, filled);
+        }
+        ctx.globalAlpha = 1;
+    }
+};
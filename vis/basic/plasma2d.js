@@ -6,6 +6,14 @@ export const Plasma2D = {
     id: 'plasma2d',
     name: 'Plasma Lightning',
     type: '2d',
+    workerSafe: true,
+
+    params: {
+        plasmaMode: {
+            type: 'select', label: 'Plasma Mode', group: 'Plasma', default: 'arcs',
+            options: [['arcs', 'Lightning Arcs'], ['ball', 'Plasma Ball']]
+        }
+    },
 
     _ctx: null,
     _settings: null,
@@ -48,6 +56,14 @@ export const Plasma2D = {
             }
         }
         
+        // Beat volley: a burst of strong, long-lived arcs on each detected beat
+        if (audioFrame.beat) {
+            const count = 2 + Math.round(audioFrame.beatStrength * 4);
+            for (let i = 0; i < count; i++) {
+                this._spawnArc(0.6 + audioFrame.beatStrength * 0.4, s.freqMin, (i / count) * 0.3);
+            }
+        }
+        
         // Update existing arcs
         for (let i = this._arcs.length - 1; i >= 0; i--) {
             const arc = this._arcs[i];
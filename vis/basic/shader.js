@@ -0,0 +1,250 @@
+/**
+ * GLSL Shader Visualizer (WebGL2) - user-editable fragment shader over a full-screen triangle
+ * Shadertoy-style: write mainImage(out vec4 fragColor, in vec2 fragCoord). The source lives in
+ * settings.shaderSource (saved with presets) and recompiles whenever it changes; compile errors
+ * are shown via `status` and the last working program keeps running.
+ */
+
+// Prepended to the user source (keep HEADER_LINES in sync for error line numbers)
+const HEADER = `#version 300 es
+precision highp float;
+uniform float iTime;
+uniform vec3 iResolution;
+uniform float iLevel;
+uniform vec3 iBands;
+uniform float iBeat;
+uniform vec3 iColor;
+uniform sampler2D iChannel0;
+out vec4 outColor;
+`;
+const HEADER_LINES = HEADER.split('\n').length - 1;
+
+const FOOTER = `
+void main() {
+    mainImage(outColor, gl_FragCoord.xy);
+}
+`;
+
+const VERTEX_SOURCE = `#version 300 es
+void main() {
+    // Full-screen triangle from the vertex id (no buffers)
+    vec2 p = vec2((gl_VertexID << 1) & 2, gl_VertexID & 2);
+    gl_Position = vec4(p * 2.0 - 1.0, 0.0, 1.0);
+}`;
+
+const AUDIO_TEXTURE_WIDTH = 512;
+const BEAT_DECAY = 0.2; // seconds
+
+export const DEFAULT_SHADER = `// Uniforms: iTime, iResolution, iLevel, iBands (bass, mid, treble), iBeat (1 on a beat, decays),
+// iColor (base color), iChannel0 (512x2: row 0 = log spectrum, row 1 = waveform)
+void mainImage(out vec4 fragColor, in vec2 fragCoord) {
+    vec2 uv = fragCoord / iResolution.xy;
+    vec2 p = (fragCoord - 0.5 * iResolution.xy) / iResolution.y;
+    float r = length(p);
+    float a = abs(atan(p.y, p.x)) / 3.14159;
+
+    float spec = texture(iChannel0, vec2(a, 0.25)).r;
+    float wave = texture(iChannel0, vec2(uv.x, 0.75)).r;
+
+    float ring = smoothstep(0.015, 0.0, abs(r - 0.25 - spec * 0.2 - iBeat * 0.05));
+    float line = smoothstep(0.006, 0.0, abs(uv.y - wave));
+    vec3 col = iColor * (ring + line * 0.6);
+    col += iColor * 0.08 * (iBands.x + iLevel) / (r + 0.15);
+    col *= 0.85 + 0.15 * sin(iTime * 2.0 + r * 12.0);
+    fragColor = vec4(col, 1.0);
+}
+`;
+
+export const ShaderVis = {
+    id: 'shader',
+    name: 'GLSL Shader',
+    type: 'webgl2',
+    workerSafe: true,
+    
+    params: {
+        shaderSource: { type: 'code', label: 'Fragment Shader', group: 'Shader', default: DEFAULT_SHADER }
+    },
+    
+    // Compile error of the current source (null when it compiled)
+    status: null,
+    
+    _gl: null,
+    _settings: null,
+    _audio: null,
+    _width: 0,
+    _height: 0,
+    _program: null,
+    _vertexShader: null,
+    _vao: null,
+    _texture: null,
+    _textureData: null,
+    _uniforms: null,
+    _source: null,
+    _time: 0,
+    _beat: 0,
+    _level: 0,
+    _bands: null,
+    _audioParams: null,
+    
+    init(ctx, services, settings) {
+        this._gl = ctx.gl;
+        this._settings = settings;
+        this._audio = services.audio;
+        this._time = 0;
+        this._beat = 0;
+        this._program = null;
+        this._source = null;
+        this.status = null;
+        
+        const gl = this._gl;
+        this._vertexShader = this._compileShader(gl.VERTEX_SHADER, VERTEX_SOURCE);
+        this._vao = gl.createVertexArray();
+        
+        // Audio texture: row 0 spectrum, row 1 waveform (R8, linear filtered)
+        this._textureData = new Uint8Array(AUDIO_TEXTURE_WIDTH * 2);
+        this._texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this._texture);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.R8, AUDIO_TEXTURE_WIDTH, 2, 0, gl.RED, gl.UNSIGNED_BYTE, this._textureData);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    },
+    
+    resize(w, h) {
+        this._width = w;
+        this._height = h;
+    },
+    
+    update(dt, audioFrame) {
+        this._time += dt;
+        this._audioParams = audioFrame.audioParams;
+        this._level = audioFrame.level || 0;
+        this._bands = audioFrame.bands;
+        
+        if (audioFrame.beat) this._beat = 1;
+        else this._beat *= Math.exp(-dt / BEAT_DECAY);
+        
+        // Hot recompile when the source changed (failed sources aren't retried until edited)
+        const source = this._settings.shaderSource || DEFAULT_SHADER;
+        if (source !== this._source) {
+            this._source = source;
+            this._build(source);
+        }
+        
+        const data = this._textureData;
+        const bands = this._audio.getLogBands(AUDIO_TEXTURE_WIDTH, this._audioParams);
+        for (let i = 0; i < AUDIO_TEXTURE_WIDTH; i++) {
+            data[i] = Math.min(255, bands[i] * 255);
+        }
+        const wave = this._audio.getWaveformData();
+        const step = wave.length / AUDIO_TEXTURE_WIDTH;
+        for (let i = 0; i < AUDIO_TEXTURE_WIDTH; i++) {
+            data[AUDIO_TEXTURE_WIDTH + i] = wave.length ? wave[Math.floor(i * step)] : 128;
+        }
+    },
+    
+    render() {
+        if (!this._program) return;
+        const gl = this._gl;
+        const s = this._settings;
+        const u = this._uniforms;
+        
+        gl.bindTexture(gl.TEXTURE_2D, this._texture);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, AUDIO_TEXTURE_WIDTH, 2, gl.RED, gl.UNSIGNED_BYTE, this._textureData);
+        
+        gl.useProgram(this._program);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.uniform1i(u.channel0, 0);
+        gl.uniform1f(u.time, this._time);
+        gl.uniform3f(u.resolution, this._width, this._height, 1);
+        gl.uniform1f(u.level, this._level);
+        const b = this._bands;
+        gl.uniform3f(u.bands, b ? b.bass : 0, b ? b.mid : 0, b ? b.treble : 0);
+        gl.uniform1f(u.beat, this._beat);
+        const col = this._hexToRgb(s.gradientEnabled ? s.colorStops[0] : (s.baseColor || '#00ff88'));
+        gl.uniform3f(u.color, col.r, col.g, col.b);
+        
+        gl.disable(gl.DEPTH_TEST);
+        gl.disable(gl.BLEND);
+        gl.bindVertexArray(this._vao);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+        gl.bindVertexArray(null);
+    },
+    
+    dispose() {
+        const gl = this._gl;
+        if (gl) {
+            if (this._program) gl.deleteProgram(this._program);
+            if (this._vertexShader) gl.deleteShader(this._vertexShader);
+            if (this._vao) gl.deleteVertexArray(this._vao);
+            if (this._texture) gl.deleteTexture(this._texture);
+        }
+        this._program = null;
+        this._gl = null;
+        this._audio = null;
+    },
+    
+    // Compile + link the user source; on failure keep the previous program and report
+    _build(source) {
+        const gl = this._gl;
+        let fs = null;
+        try {
+            fs = this._compileShader(gl.FRAGMENT_SHADER, HEADER + source + FOOTER);
+            const program = gl.createProgram();
+            gl.attachShader(program, this._vertexShader);
+            gl.attachShader(program, fs);
+            gl.linkProgram(program);
+            if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+                const log = gl.getProgramInfoLog(program);
+                gl.deleteProgram(program);
+                throw new Error(log);
+            }
+            
+            if (this._program) gl.deleteProgram(this._program);
+            this._program = program;
+            this._uniforms = {
+                time: gl.getUniformLocation(program, 'iTime'),
+                resolution: gl.getUniformLocation(program, 'iResolution'),
+                level: gl.getUniformLocation(program, 'iLevel'),
+                bands: gl.getUniformLocation(program, 'iBands'),
+                beat: gl.getUniformLocation(program, 'iBeat'),
+                color: gl.getUniformLocation(program, 'iColor'),
+                channel0: gl.getUniformLocation(program, 'iChannel0')
+            };
+            this.status = null;
+        } catch (e) {
+            this.status = this._userLines(e.message);
+        } finally {
+            if (fs) gl.deleteShader(fs);
+        }
+    },
+    
+    _compileShader(type, source) {
+        const gl = this._gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error(log || 'Shader compile failed');
+        }
+        return shader;
+    },
+    
+    // "ERROR: 0:14: ..." -> line numbers of the user source (header excluded)
+    _userLines(log) {
+        return String(log).trim().replace(/(ERROR|WARNING): (\d+):(\d+):/g,
+            (m, kind, file, line) => `${kind}: line ${Math.max(1, line - HEADER_LINES)}:`);
+    },
+    
+    _hexToRgb(hex) {
+        const r = parseInt(hex.slice(1, 3), 16) / 255;
+        const g = parseInt(hex.slice(3, 5), 16) / 255;
+        const b = parseInt(hex.slice(5, 7), 16) / 255;
+        return { r, g, b };
+    }
+};
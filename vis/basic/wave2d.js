@@ -1,70 +1,196 @@
 /**
  * 2D Waveform Oscilloscope Visualizer
+ * Float time-domain samples, locked to a rising zero crossing so periodic sounds stand
+ * still. Line, filled or mirrored (envelope) drawing; stereo mode gives L and R a lane
+ * each, both triggered from the mix so their relative phase stays visible.
  */
+const TRIGGER_HYSTERESIS = 0.01; // signal must dip below -this before a crossing counts
+
 export const Wave2D = {
     id: 'wave2d',
-    name: '2D Waveform',
+    name: 'Oscilloscope',
     type: '2d',
-    
+    workerSafe: true,
+
+    params: {
+        scopeMode: {
+            type: 'select', label: 'Draw Mode', group: 'Oscilloscope', default: 'line',
+            options: [['line', 'Line'], ['filled', 'Filled'], ['mirror', 'Mirror']]
+        },
+        scopeWindow: { type: 'range', label: 'Time Window (ms)', group: 'Oscilloscope', default: 20, min: 2, max: 60, step: 1 },
+        scopeGain: { type: 'range', label: 'Gain', group: 'Oscilloscope', default: 1, min: 0.5, max: 8, step: 0.1 },
+        scopeTrigger: { type: 'checkbox', label: 'Trigger Lock', group: 'Oscilloscope', default: true },
+        scopeStereo: { type: 'checkbox', label: 'Stereo (L/R)', group: 'Oscilloscope', default: false }
+    },
+
     _ctx: null,
     _settings: null,
+    _audio: null,
     _width: 0,
     _height: 0,
-    
+
+    // Display window into the latest time-domain buffer (set in update)
+    _start: 0,            // fractional sample index of the trigger point
+    _length: 0,           // samples shown
+
     init(ctx, services, settings) {
         this._ctx = ctx.ctx2d;
         this._settings = settings;
+        this._audio = services.audio;
     },
-    
+
     resize(w, h, dpr, renderScale) {
         this._width = w;
         this._height = h;
     },
-    
+
     update(dt, audioFrame) {
-        // Waveform uses raw data directly in render
-        this._waveform = audioFrame.waveformData;
+        const s = this._settings;
+        const mix = this._audio.getTimeDomainData(null);
+        const n = mix.length;
+        if (n === 0) {
+            this._length = 0;
+            return;
+        }
+
+        const windowSamples = Math.round((s.scopeWindow || 20) / 1000 * this._audio.sampleRate);
+        this._length = Math.max(2, Math.min(n - 1, windowSamples));
+        const latest = n - this._length;  // the most recent window starts here
+        this._start = s.scopeTrigger ? this._findTrigger(mix, latest) : latest;
     },
-    
+
     render() {
         const ctx = this._ctx;
         const s = this._settings;
         const w = this._width;
         const h = this._height;
-        const waveform = this._waveform;
-        
-        if (!waveform || waveform.length === 0) return;
-        
-        ctx.strokeStyle = s.baseColor || '#00ff88';
+        if (this._length === 0 || w === 0 || h === 0) return;
+
+        ctx.save();
         ctx.lineWidth = 2;
-        
+        ctx.lineJoin = 'round';
+
+        if (s.scopeStereo) {
+            const left = this._audio.getTimeDomainData(0);
+            const right = this._audio.getTimeDomainData(1);
+            this._drawChannel(left, h * 0.25, h * 0.25, this._channelColor(0));
+            this._drawChannel(right, h * 0.75, h * 0.25, this._channelColor(1));
+
+            // Lane divider
+            ctx.shadowBlur = 0;
+            ctx.globalAlpha = 0.2;
+            ctx.strokeStyle = s.baseColor || '#00ff88';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(0, h / 2);
+            ctx.lineTo(w, h / 2);
+            ctx.stroke();
+        } else {
+            this._drawChannel(this._audio.getTimeDomainData(null), h / 2, h / 2, this._channelColor(0));
+        }
+
+        ctx.restore();
+    },
+
+    dispose() {
+        this._ctx = null;
+        this._audio = null;
+    },
+
+    /**
+     * Latest rising zero crossing at or before `latest`, as a fractional sample index
+     * (interpolated between the two samples around zero, so the lock is sub-sample).
+     * Falls back to `latest` when the window holds no crossing (silence, DC, low notes).
+     */
+    _findTrigger(data, latest) {
+        for (let i = latest; i > 0; i--) {
+            const a = data[i - 1];
+            const b = data[i];
+            if (a >= 0 || b < 0) continue;
+            // Only count it if the signal really dipped below zero first (noise rejection)
+            let j = i - 1;
+            const limit = Math.max(0, i - this._length);
+            while (j > limit && data[j] > -TRIGGER_HYSTERESIS) j--;
+            if (data[j] <= -TRIGGER_HYSTERESIS) return i - 1 + a / (a - b);
+        }
+        return latest;
+    },
+
+    // One trace centered on y, amplitude 1.0 reaching `half` pixels
+    _drawChannel(data, y, half, color) {
+        const ctx = this._ctx;
+        const s = this._settings;
+        const w = this._width;
+        const mode = s.scopeMode || 'line';
+        const gain = (s.scopeGain || 1) * half * 0.9;
+        if (data.length < this._length) return;
+
+        // At most ~one point per pixel column
+        const points = Math.max(2, Math.min(this._length, Math.ceil(w)));
+        const step = this._length / (points - 1);
+
         if (s.glowAmount > 0) {
-            ctx.shadowColor = s.baseColor || '#00ff88';
+            ctx.shadowColor = color;
             ctx.shadowBlur = s.glowAmount * 20;
         }
-        
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+
         ctx.beginPath();
-        
-        const sliceWidth = w / waveform.length;
-        let x = 0;
-        
-        for (let i = 0; i < waveform.length; i++) {
-            const v = waveform[i] / 128.0;  // 0-255 -> 0-2
-            const y = (v * h) / 2;
-            
-            if (i === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
+        if (mode === 'mirror') {
+            // Rectified envelope above the center line, mirrored below
+            for (let i = 0; i < points; i++) {
+                const x = i / (points - 1) * w;
+                const v = Math.abs(this._sample(data, i * step, gain, half));
+                if (i === 0) ctx.moveTo(x, y - v);
+                else ctx.lineTo(x, y - v);
             }
-            x += sliceWidth;
+            for (let i = points - 1; i >= 0; i--) {
+                ctx.lineTo(i / (points - 1) * w, y + Math.abs(this._sample(data, i * step, gain, half)));
+            }
+            ctx.closePath();
+            ctx.globalAlpha = 0.5;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            ctx.stroke();
+            return;
+        }
+
+        for (let i = 0; i < points; i++) {
+            const x = i / (points - 1) * w;
+            const v = this._sample(data, i * step, gain, half);
+            if (i === 0) ctx.moveTo(x, y - v);
+            else ctx.lineTo(x, y - v);
         }
-        
+
+        if (mode === 'filled') {
+            ctx.stroke();
+            ctx.lineTo(w, y);
+            ctx.lineTo(0, y);
+            ctx.closePath();
+            ctx.globalAlpha = 0.35;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            return;
+        }
+
         ctx.stroke();
-        ctx.shadowBlur = 0;
     },
-    
-    dispose() {
-        this._ctx = null;
+
+    // Sample `offset` after the trigger point (linearly interpolated), scaled and clipped to the lane
+    _sample(data, offset, gain, half) {
+        const last = data.length - 1;
+        const pos = Math.min(last, this._start + offset);
+        const k = Math.floor(pos);
+        const a = data[k];
+        const b = data[Math.min(last, k + 1)];
+        const v = (a + (b - a) * (pos - k)) * gain;
+        return v > half ? half : v < -half ? -half : v;
+    },
+
+    _channelColor(channel) {
+        const s = this._settings;
+        if (s.gradientEnabled && s.gradientStops >= 2) return s.colorStops[channel];
+        return s.baseColor || '#00ff88';
     }
 };
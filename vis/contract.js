@@ -18,18 +18,54 @@
  *   
  *   update(dt, audioFrame): void
  *     - dt: delta time in seconds
- *     - audioFrame: { level, bands, frequencyData, waveformData }
+ *     - audioFrame: { level, bands, stereo, beat, beatStrength, onsets, audioParams }
+ *       - stereo: { correlation (-1..1, 1 = mono), width (0..1, 0 = mono) }
+ *       - beat: true on the frame a beat (kick or full-band onset) is detected
+ *       - beatStrength: 0..1 strength of that onset (0 when no beat)
+ *       - onsets: { kick, snare, hihat, full } each { onset, strength, flux }
+ *       - bpm: estimated (or tapped) tempo, 0 when unknown
+ *       - beatPhase: 0..1 within the current beat; beatPosition: continuous beat count
+ *       - beatInBar (0..3), barPhase (0..1 within the bar), bar (bar count)
  *   
  *   render(): void
  *     - Draw current frame (canvas already cleared by app shell)
  *   
  *   dispose(): void
  *     - Cleanup WebGL resources, buffers, etc.
+ *   
+ *   params?: { [settingsKey]: { type, label, group?, default, min?, max?, step?, options? } }
+ *     - Optional. Settings this visualizer reads beyond the shared color/audio ones.
+ *       type: 'range' | 'number' | 'select' | 'checkbox' | 'color' | 'code' (multi-line text)
+ *       options (select): [[value, label], ...]
+ *     - The app adds each key to the settings object (at its default) and builds a control
+ *       for it, shown only while a layer uses the visualizer. Visualizers reading the same
+ *       setting declare the same key (bars2d and circle2d both read barMode).
+ *   
+ *   status?: string | null
+ *     - Optional. A message the app shows under the visualizer's controls while its layer is
+ *       selected (e.g. shader compile errors); null/empty hides it.
+ *   
+ *   workerSafe?: boolean
+ *     - Optional. true if the visualizer only uses its ctx, services.audio and settings (no
+ *       document/window/DOM elements), so it can run in the render worker on an OffscreenCanvas.
+ *       There services.audio serves getLogBands/getWaveformData/getFrequencyData/
+ *       getTimeDomainData from snapshots, and image settings (logoImage) arrive as ImageBitmaps.
+ *   
+ *   modTargets?: { [name]: { label, prop, min?, max? } }
+ *     - Optional. Numeric properties the mod matrix may drive, addressed as 'id:name'.
+ *       The modulation is removed before update() and re-added after it, so only render()
+ *       sees the modulated value: read targets in render() (a value update() derives from
+ *       one would miss the modulation).
  * }
  * 
  * RULES:
  * - Do NOT create your own canvas or RAF loop
  * - Do NOT create your own AudioAnalyzer
+ * - audio.getLogBands(n, audioParams) may be called from update() and render() alike;
+ *   the app snapshots the analyzer once per frame, so repeat calls return the same bands
+ * - audio.getLogBands(n, audioParams, channel) gives the left (0) or right (1) channel's bands
+ * - audio.getTimeDomainData(channel) gives float samples (-1..1) of the mono mix (null),
+ *   left (0) or right (1); audio.sampleRate converts sample counts to time
  * - Reuse buffers; avoid per-frame allocations
  * - Use gl.bufferSubData() not gl.bufferData() for dynamic updates
  */
@@ -44,3 +80,37 @@ export const VisualizerContract = {
     render: () => {},
     dispose: () => {}
 };
+
+export const VISUALIZER_TYPES = ['2d', 'webgl2'];
+
+const PARAM_TYPES = ['range', 'number', 'select', 'checkbox', 'color', 'code'];
+
+/**
+ * Check a visualizer module against VisualizerContract.
+ * @param {object} vis
+ * @param {object[]} [registered] - Visualizers already registered (for the unique-id check)
+ * @returns {string[]} Problems found (empty when the module is valid)
+ */
+export function validateVisualizer(vis, registered = []) {
+    if (!vis || typeof vis !== 'object') return ['not an object'];
+
+    const problems = [];
+    if (typeof vis.id !== 'string' || !vis.id) problems.push('missing id');
+    else if (registered.some((v) => v !== vis && v.id === vis.id)) problems.push(`duplicate id '${vis.id}'`);
+    if (typeof vis.name !== 'string' || !vis.name) problems.push('missing name');
+    if (!VISUALIZER_TYPES.includes(vis.type)) problems.push(`invalid type '${vis.type}'`);
+
+    for (const [key, value] of Object.entries(VisualizerContract)) {
+        if (typeof value === 'function' && typeof vis[key] !== 'function') problems.push(`missing ${key}()`);
+    }
+
+    if (vis.workerSafe !== undefined && typeof vis.workerSafe !== 'boolean') problems.push('workerSafe must be a boolean');
+
+    for (const [key, param] of Object.entries(vis.params || {})) {
+        if (!PARAM_TYPES.includes(param?.type)) problems.push(`param '${key}' has invalid type '${param?.type}'`);
+    }
+    for (const [name, target] of Object.entries(vis.modTargets || {})) {
+        if (typeof target?.prop !== 'string') problems.push(`modTarget '${name}' has no prop`);
+    }
+    return problems;
+}
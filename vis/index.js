@@ -1,31 +1,79 @@
 /**
  * Visualizer Registry - exports all available visualizers
+ * Built-ins register at load; plugins (core/PluginLoader.js) register at runtime.
+ * Modules are checked against the contract as they register; rejected built-ins are left
+ * out and listed in registryErrors.
  */
+import { validateVisualizer } from './contract.js';
 import { Bars2D } from './basic/bars2d.js';
 import { Circle2D } from './basic/circle2d.js';
+import { Wave2D } from './basic/wave2d.js';
+import { Goniometer } from './basic/goniometer.js';
 import { Plasma2D } from './basic/plasma2d.js';
 import { Bars3D } from './basic/bars3d.js';
 import { Circle3D } from './basic/circle3d.js';
+import { ShaderVis } from './basic/shader.js';
 
 // Math visualizers
 import { Lorenz } from './math/lorenz.js';
+import { Attractors } from './math/attractors.js';
 import { Spiral } from './math/spiral.js';
 import { Mandelbrot } from './math/mandelbrot.js';
+import { Fractals } from './math/fractals.js';
 import { Parabola } from './math/parabola.js';
 
-export const visualizers = [
+const builtins = [
     Bars2D,
     Circle2D,
+    Wave2D,
+    Goniometer,
     Plasma2D,
     Bars3D,
     Circle3D,
+    ShaderVis,
     // Math
     Lorenz,
+    Attractors,
     Spiral,
     Mandelbrot,
+    Fractals,
     Parabola
 ];
 
+export const visualizers = [];
+export const registryErrors = []; // { id, error } of built-ins rejected at startup
+
+/**
+ * Add a visualizer to the registry. Throws if it violates the contract (incl. a taken id).
+ */
+export function registerVisualizer(vis) {
+    const problems = validateVisualizer(vis, visualizers);
+    if (problems.length) {
+        throw new Error(`Visualizer '${vis?.id || '?'}' violates the contract: ${problems.join(', ')}`);
+    }
+    visualizers.push(vis);
+    return vis;
+}
+
+/**
+ * Remove a visualizer from the registry. Returns it, or null if the id isn't registered.
+ * Layers already showing it keep their instance until they switch.
+ */
+export function unregisterVisualizer(id) {
+    const index = visualizers.findIndex((v) => v.id === id);
+    if (index < 0) return null;
+    return visualizers.splice(index, 1)[0];
+}
+
+for (const vis of builtins) {
+    try {
+        registerVisualizer(vis);
+    } catch (e) {
+        console.error(e);
+        registryErrors.push({ id: vis?.id, error: e });
+    }
+}
+
 export function getVisualizerById(id) {
     return visualizers.find(v => v.id === id);
 }
@@ -0,0 +1,345 @@
+/**
+ * Strange Attractors Visualizer - Lorenz, Rössler, Aizawa, Thomas, Halvorsen, Chen
+ * Several particles start close together and are integrated with RK4, so their trails
+ * visibly separate. Trails are projected through a perspective camera orbiting the
+ * attractor; the orbit turns steadily and jumps ahead on beats.
+ */
+
+// Each system: parameters, derivative, audio mapping, integration step and framing
+// (center + scale normalize the attractor to roughly -1..1, z is up)
+const SYSTEMS = {
+    lorenz: {
+        label: 'Lorenz',
+        params: { sigma: 10, rho: 28, beta: 8 / 3 },
+        deriv: (p, x, y, z, out) => {
+            out[0] = p.sigma * (y - x);
+            out[1] = x * (p.rho - z) - y;
+            out[2] = x * y - p.beta * z;
+        },
+        react: (p, base, bass, mid, high) => {
+            p.sigma = base.sigma + bass * 5;
+            p.rho = base.rho + mid * 10;
+            p.beta = base.beta + high * 2;
+        },
+        step: 0.005, center: [0, 0, 25], scale: 1 / 25, start: [0.1, 0, 0]
+    },
+    rossler: {
+        label: 'Rössler',
+        params: { a: 0.2, b: 0.2, c: 5.7 },
+        deriv: (p, x, y, z, out) => {
+            out[0] = -y - z;
+            out[1] = x + p.a * y;
+            out[2] = p.b + z * (x - p.c);
+        },
+        react: (p, base, bass, mid) => {
+            p.a = base.a + mid * 0.1;
+            p.c = base.c + bass * 1.5;
+        },
+        step: 0.02, center: [0, 0, 10], scale: 1 / 16, start: [1, 1, 0]
+    },
+    aizawa: {
+        label: 'Aizawa',
+        params: { a: 0.95, b: 0.7, c: 0.6, d: 3.5, e: 0.25, f: 0.1 },
+        deriv: (p, x, y, z, out) => {
+            out[0] = (z - p.b) * x - p.d * y;
+            out[1] = p.d * x + (z - p.b) * y;
+            out[2] = p.c + p.a * z - z * z * z / 3 - (x * x + y * y) * (1 + p.e * z) + p.f * z * x * x * x;
+        },
+        react: (p, base, bass, mid) => {
+            p.d = base.d + bass * 1.5;
+            p.a = base.a - mid * 0.2;
+        },
+        step: 0.01, center: [0, 0, 0.6], scale: 1 / 1.5, start: [0.1, 0, 0]
+    },
+    thomas: {
+        label: 'Thomas',
+        params: { b: 0.208186 },
+        deriv: (p, x, y, z, out) => {
+            out[0] = Math.sin(y) - p.b * x;
+            out[1] = Math.sin(z) - p.b * y;
+            out[2] = Math.sin(x) - p.b * z;
+        },
+        react: (p, base, bass) => {
+            p.b = base.b - bass * 0.06;
+        },
+        step: 0.05, center: [0, 0, 0], scale: 1 / 4, start: [0.1, 0, 0]
+    },
+    halvorsen: {
+        label: 'Halvorsen',
+        params: { a: 1.89 },
+        deriv: (p, x, y, z, out) => {
+            out[0] = -p.a * x - 4 * y - 4 * z - y * y;
+            out[1] = -p.a * y - 4 * z - 4 * x - z * z;
+            out[2] = -p.a * z - 4 * x - 4 * y - x * x;
+        },
+        react: (p, base, bass, mid) => {
+            p.a = base.a + bass * 0.3 - mid * 0.15;
+        },
+        step: 0.005, center: [-3, -3, -3], scale: 1 / 9, start: [-1.48, -1.51, 2.04]
+    },
+    chen: {
+        label: 'Chen',
+        params: { a: 35, b: 3, c: 28 },
+        deriv: (p, x, y, z, out) => {
+            out[0] = p.a * (y - x);
+            out[1] = (p.c - p.a) * x - x * z + p.c * y;
+            out[2] = x * y - p.b * z;
+        },
+        react: (p, base, bass, mid) => {
+            p.c = base.c + mid * 2;
+            p.b = base.b + bass * 0.5;
+        },
+        step: 0.002, center: [0, 0, 22], scale: 1 / 20, start: [-10, 0, 37]
+    }
+};
+
+const STEPS_PER_SECOND = 600; // RK4 steps per second of (audio-modulated) time
+const MAX_STEPS = 40;         // per frame, so slow frames don't snowball
+const SPREAD = 0.01;          // initial offset between particles
+const CAMERA_DISTANCE = 3;    // in normalized attractor units
+const ALPHA_GROUPS = 8;       // trail drawn in this many alpha steps (old -> new)
+
+export const Attractors = {
+    id: 'attractors',
+    name: 'Strange Attractors',
+    type: '2d',
+    workerSafe: true,
+
+    params: {
+        attractorType: {
+            type: 'select', label: 'System', group: 'Attractors', default: 'lorenz',
+            options: Object.entries(SYSTEMS).map(([id, s]) => [id, s.label])
+        },
+        attractorParticles: { type: 'range', label: 'Particles', group: 'Attractors', default: 4, min: 1, max: 12, step: 1 },
+        attractorTrail: { type: 'range', label: 'Trail Length', group: 'Attractors', default: 800, min: 100, max: 4000, step: 100 },
+        attractorSpeed: { type: 'range', label: 'Speed', group: 'Attractors', default: 1, min: 0.1, max: 3, step: 0.1 },
+        attractorSpin: { type: 'range', label: 'Camera Spin', group: 'Attractors', default: 0.15, min: 0, max: 1, step: 0.01 },
+        attractorPitch: { type: 'range', label: 'Camera Pitch', group: 'Attractors', default: 20, min: -85, max: 85, step: 1 }
+    },
+
+    modTargets: {
+        yaw: { label: 'Camera Yaw', prop: '_yaw' },
+        zoom: { label: 'Camera Zoom', prop: '_zoom', min: 0.2, max: 5 }
+    },
+
+    _ctx: null,
+    _settings: null,
+    _audio: null,
+    _width: 0,
+    _height: 0,
+    _audioParams: null,
+
+    _systemId: null,
+    _system: null,
+    _params: null,        // current (audio-modulated) system parameters
+    _particles: null,     // { x, y, z, trail: Float32Array(maxPoints * 3), head, count }
+    _maxPoints: 0,
+    _stepAccum: 0,
+    _k: null,             // RK4 scratch: 4 derivative vectors
+    _screen: null,        // projected trail (x, y pairs), reused per particle
+
+    // Camera
+    _yaw: 0,
+    _zoom: 1,
+    _spin: 0,             // beat impulse on top of the steady spin
+
+    init(ctx, services, settings) {
+        this._ctx = ctx.ctx2d;
+        this._settings = settings;
+        this._audio = services.audio;
+        this._k = [new Float64Array(3), new Float64Array(3), new Float64Array(3), new Float64Array(3)];
+        this._systemId = null;
+        this._particles = [];
+        this._yaw = 0;
+        this._spin = 0;
+    },
+
+    resize(w, h) {
+        this._width = w;
+        this._height = h;
+    },
+
+    update(dt, audioFrame) {
+        const s = this._settings;
+        this._audioParams = audioFrame.audioParams;
+        if (!this._audioParams) return;
+
+        const bands = this._audio.getLogBands(8, this._audioParams);
+        const bass = (bands[0] + bands[1]) / 2;
+        const mid = (bands[2] + bands[3] + bands[4]) / 3;
+        const high = (bands[5] + bands[6] + bands[7]) / 3;
+        const level = bands.reduce((a, b) => a + b, 0) / 8;
+
+        this._configure(s);
+        const sys = this._system;
+        sys.react(this._params, sys.params, bass, mid, high);
+
+        // Integrate: a fixed RK4 step, as many per frame as the elapsed (sped-up) time needs
+        const speed = (s.attractorSpeed || 1) * (1 + level * 1.5);
+        this._stepAccum += dt * STEPS_PER_SECOND * speed;
+        const steps = Math.min(MAX_STEPS, Math.floor(this._stepAccum));
+        this._stepAccum = Math.min(this._stepAccum - steps, 1);
+
+        this._particles.forEach((p, index) => {
+            for (let i = 0; i < steps; i++) {
+                this._rk4(p, sys.step);
+                // Audio pushed the parameters out of the chaotic regime and it blew up
+                if (!Number.isFinite(p.x + p.y + p.z) || Math.abs(p.x) + Math.abs(p.y) + Math.abs(p.z) > 1e4) {
+                    this._respawn(p, index);
+                }
+                this._push(p);
+            }
+        });
+
+        // Camera: steady spin plus a kick on every beat that eases off
+        if (audioFrame.beat) this._spin += 1.5 * (0.5 + audioFrame.beatStrength);
+        this._spin *= Math.exp(-dt / 0.4);
+        this._yaw = (this._yaw + dt * ((s.attractorSpin ?? 0.15) + this._spin)) % (Math.PI * 2);
+    },
+
+    render() {
+        const ctx = this._ctx;
+        const s = this._settings;
+        const w = this._width;
+        const h = this._height;
+        if (!this._system || w === 0 || h === 0) return;
+
+        const sys = this._system;
+        const focal = Math.min(w, h) * 1.1 * this._zoom;
+        const cosY = Math.cos(this._yaw), sinY = Math.sin(this._yaw);
+        const pitch = (s.attractorPitch ?? 20) * Math.PI / 180;
+        const cosP = Math.cos(pitch), sinP = Math.sin(pitch);
+        const [cx, cy, cz] = sys.center;
+        const scale = sys.scale;
+
+        ctx.save();
+        if (s.glowAmount > 0) {
+            ctx.shadowColor = s.baseColor;
+            ctx.shadowBlur = s.glowAmount * 30;
+        }
+        ctx.lineWidth = 1.5;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        const screen = this._screen;
+        this._particles.forEach((p, index) => {
+            const n = p.count;
+            if (n < 2) return;
+
+            // Project the trail oldest -> newest into screen space
+            const start = (p.head - n + this._maxPoints) % this._maxPoints;
+            for (let i = 0; i < n; i++) {
+                const j = ((start + i) % this._maxPoints) * 3;
+                const x = (p.trail[j] - cx) * scale;
+                const y = (p.trail[j + 1] - cy) * scale;
+                const z = (p.trail[j + 2] - cz) * scale;
+                // Yaw around the vertical (z) axis, then pitch toward the viewer
+                const rx = x * cosY - y * sinY;
+                const ry = x * sinY + y * cosY;
+                const depth = ry * cosP - z * sinP;
+                const up = ry * sinP + z * cosP;
+                const d = Math.max(0.1, CAMERA_DISTANCE + depth);
+                screen[i * 2] = w / 2 + rx / d * focal;
+                screen[i * 2 + 1] = h / 2 - up / d * focal;
+            }
+
+            const color = this._particleColor(s, index);
+            const groupSize = Math.ceil(n / ALPHA_GROUPS);
+            for (let g = 0; g * groupSize < n - 1; g++) {
+                const from = g * groupSize;
+                const to = Math.min(n - 1, from + groupSize);
+                ctx.strokeStyle = this._hexToRgba(color, ((g + 1) / ALPHA_GROUPS) * 0.8 + 0.2);
+                ctx.beginPath();
+                ctx.moveTo(screen[from * 2], screen[from * 2 + 1]);
+                for (let i = from + 1; i <= to; i++) ctx.lineTo(screen[i * 2], screen[i * 2 + 1]);
+                ctx.stroke();
+            }
+
+            // Particle head
+            ctx.fillStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.arc(screen[(n - 1) * 2], screen[(n - 1) * 2 + 1], 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.restore();
+    },
+
+    dispose() {
+        this._ctx = null;
+        this._audio = null;
+        this._particles = [];
+    },
+
+    // (Re)build particles when the system, particle count or trail length changes
+    _configure(s) {
+        const id = SYSTEMS[s.attractorType] ? s.attractorType : 'lorenz';
+        const count = Math.max(1, Math.round(s.attractorParticles || 4));
+        const maxPoints = Math.max(2, Math.round(s.attractorTrail || 800));
+
+        if (id !== this._systemId) {
+            this._systemId = id;
+            this._system = SYSTEMS[id];
+            this._params = { ...this._system.params };
+            this._particles = [];
+        }
+        if (maxPoints !== this._maxPoints) {
+            this._maxPoints = maxPoints;
+            this._screen = new Float32Array(maxPoints * 2);
+            this._particles = [];
+        }
+        while (this._particles.length > count) this._particles.pop();
+        while (this._particles.length < count) {
+            const p = { x: 0, y: 0, z: 0, trail: new Float32Array(maxPoints * 3), head: 0, count: 0 };
+            this._respawn(p, this._particles.length);
+            this._particles.push(p);
+        }
+    },
+
+    // Start particle i near the system's start point (each one slightly apart)
+    _respawn(p, i) {
+        const [x, y, z] = this._system.start;
+        p.x = x + i * SPREAD;
+        p.y = y + i * SPREAD * 0.5;
+        p.z = z;
+        p.head = 0;
+        p.count = 0;
+    },
+
+    _push(p) {
+        const j = p.head * 3;
+        p.trail[j] = p.x;
+        p.trail[j + 1] = p.y;
+        p.trail[j + 2] = p.z;
+        p.head = (p.head + 1) % this._maxPoints;
+        if (p.count < this._maxPoints) p.count++;
+    },
+
+    // One classic Runge-Kutta 4 step of size h
+    _rk4(p, h) {
+        const f = this._system.deriv;
+        const params = this._params;
+        const [k1, k2, k3, k4] = this._k;
+        f(params, p.x, p.y, p.z, k1);
+        f(params, p.x + k1[0] * h / 2, p.y + k1[1] * h / 2, p.z + k1[2] * h / 2, k2);
+        f(params, p.x + k2[0] * h / 2, p.y + k2[1] * h / 2, p.z + k2[2] * h / 2, k3);
+        f(params, p.x + k3[0] * h, p.y + k3[1] * h, p.z + k3[2] * h, k4);
+        p.x += (k1[0] + 2 * k2[0] + 2 * k3[0] + k4[0]) * h / 6;
+        p.y += (k1[1] + 2 * k2[1] + 2 * k3[1] + k4[1]) * h / 6;
+        p.z += (k1[2] + 2 * k2[2] + 2 * k3[2] + k4[2]) * h / 6;
+    },
+
+    _particleColor(s, index) {
+        if (s.gradientEnabled && s.gradientStops >= 2) {
+            return s.colorStops[index % Math.min(s.gradientStops, s.colorStops.length)];
+        }
+        return s.baseColor;
+    },
+
+    _hexToRgba(hex, alpha) {
+        const r = parseInt(hex.slice(1, 3), 16);
+        const g = parseInt(hex.slice(3, 5), 16);
+        const b = parseInt(hex.slice(5, 7), 16);
+        return `rgba(${r},${g},${b},${alpha})`;
+    }
+};
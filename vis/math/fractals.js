@@ -0,0 +1,293 @@
+/**
+ * Fractal Family Visualizer (WebGL2) - escape-time fractals steered by the spectrum
+ * Julia (c orbits with bass/mid), Burning Ship, Multibrot (power follows the level) and
+ * Newton (relaxation follows the mids). Colors come from the same gradient palette as
+ * Mandelbrot (its _buildPalette/_updatePalette), with the same smooth coloring.
+ */
+import { Mandelbrot } from './mandelbrot.js';
+
+const BAILOUT2 = 65536;
+
+// Shared by every type: view transform, palette lookup, smooth escape coloring
+const FRAGMENT_HEADER = `#version 300 es
+precision highp float;
+uniform vec2 uResolution;
+uniform vec2 uCenter;
+uniform float uScale;        // complex units per pixel
+uniform float uRotation;
+uniform int uMaxIter;
+uniform sampler2D uPalette;
+uniform float uShift;        // palette rotation (0..1)
+uniform vec2 uC;             // Julia constant
+uniform float uPower;        // Multibrot exponent
+uniform float uRelax;        // Newton relaxation
+out vec4 outColor;
+
+vec2 pixel() {
+    vec2 p = (gl_FragCoord.xy - 0.5 * uResolution) * uScale;
+    float c = cos(uRotation), s = sin(uRotation);
+    return uCenter + vec2(c * p.x - s * p.y, s * p.x + c * p.y);
+}
+
+vec2 cmul(vec2 a, vec2 b) {
+    return vec2(a.x * b.x - a.y * b.y, a.x * b.y + a.y * b.x);
+}
+
+vec2 cdiv(vec2 a, vec2 b) {
+    return vec2(a.x * b.x + a.y * b.y, a.y * b.x - a.x * b.y) / dot(b, b);
+}
+
+vec3 palette(float t) {
+    return texture(uPalette, vec2(fract(t), 0.5)).rgb;
+}
+
+// Continuous iteration count -> palette (black inside)
+vec4 escapeColor(int i, float r2, float power) {
+    if (i >= uMaxIter) return vec4(0.0, 0.0, 0.0, 1.0);
+    float mu = float(i) + 1.0 - log(log2(r2)) / log(power);
+    return vec4(palette(mu * 3.0 / 256.0 + uShift), 1.0);
+}
+`;
+
+// Per type: the fragment body, view (center, height in complex units) and iteration count
+const TYPES = {
+    julia: {
+        label: 'Julia',
+        center: [0, 0], height: 3.2, maxIter: 256, rotate: true,
+        body: `
+void main() {
+    vec2 z = pixel();
+    int i = 0;
+    float r2 = 0.0;
+    for (; i < uMaxIter; i++) {
+        r2 = dot(z, z);
+        if (r2 > ${BAILOUT2}.0) break;
+        z = cmul(z, z) + uC;
+    }
+    outColor = escapeColor(i, r2, 2.0);
+}`
+    },
+    burningShip: {
+        label: 'Burning Ship',
+        center: [-0.45, -0.5], height: 3.0, maxIter: 256, rotate: false,
+        body: `
+void main() {
+    // Imaginary axis flipped so the ship stands upright
+    vec2 c = pixel();
+    c.y = 2.0 * uCenter.y - c.y;
+    vec2 z = vec2(0.0);
+    int i = 0;
+    float r2 = 0.0;
+    for (; i < uMaxIter; i++) {
+        r2 = dot(z, z);
+        if (r2 > ${BAILOUT2}.0) break;
+        z = vec2(z.x * z.x - z.y * z.y, 2.0 * abs(z.x * z.y)) + c;
+    }
+    outColor = escapeColor(i, r2, 2.0);
+}`
+    },
+    multibrot: {
+        label: 'Multibrot',
+        center: [0, 0], height: 3.0, maxIter: 192, rotate: true,
+        body: `
+void main() {
+    vec2 c = pixel();
+    vec2 z = c;
+    int i = 1;
+    float r2 = dot(z, z);
+    for (; i < uMaxIter; i++) {
+        r2 = dot(z, z);
+        if (r2 > ${BAILOUT2}.0) break;
+        // z^p in polar form (any real power)
+        float r = pow(r2, 0.5 * uPower);
+        float a = atan(z.y, z.x) * uPower;
+        z = r * vec2(cos(a), sin(a)) + c;
+    }
+    outColor = escapeColor(i, r2, uPower);
+}`
+    },
+    newton: {
+        label: 'Newton (z³ - 1)',
+        center: [0, 0], height: 2.5, maxIter: 48, rotate: true,
+        body: `
+void main() {
+    vec2 z = pixel();
+    int i = 0;
+    for (; i < uMaxIter; i++) {
+        vec2 z2 = cmul(z, z);
+        vec2 step = cdiv(cmul(z2, z) - vec2(1.0, 0.0), 3.0 * z2) * uRelax;
+        z -= step;
+        if (dot(step, step) < 1e-8) break;
+    }
+    // Basin (which cube root of unity) picks the color, convergence speed the shade
+    float root = floor(mod(atan(z.y, z.x) / 6.2831853 * 3.0 + 0.5, 3.0));
+    float shade = pow(1.0 - float(i) / float(uMaxIter), 2.0);
+    outColor = vec4(palette(root / 3.0 + uShift) * shade, 1.0);
+}`
+    }
+};
+
+export const Fractals = {
+    id: 'fractals',
+    name: 'Fractal Family',
+    type: 'webgl2',
+    workerSafe: true,
+
+    params: {
+        fractalType: {
+            type: 'select', label: 'Fractal', group: 'Fractals', default: 'julia',
+            options: Object.entries(TYPES).map(([id, t]) => [id, t.label])
+        },
+        fractalZoom: { type: 'range', label: 'Zoom', group: 'Fractals', default: 1, min: 0.5, max: 8, step: 0.1 }
+    },
+
+    modTargets: {
+        juliaAngle: { label: 'Julia Angle', prop: '_angle' },
+        power: { label: 'Multibrot Power', prop: '_power', min: 1.5, max: 8 }
+    },
+
+    _gl: null,
+    _settings: null,
+    _audio: null,
+    _width: 0,
+    _height: 0,
+    _audioParams: null,
+
+    // Audio-driven state
+    _time: 0,
+    _beatPulse: 0,
+    _colorShift: 0,
+    _angle: 0,            // Julia c orbit angle
+    _radius: 0.7885,      // Julia c orbit radius
+    _powerBase: 2,
+    _power: 2,
+    _relax: 1,
+    _rotation: 0,
+    _breath: 1,
+
+    // GL resources (programs are compiled per type on first use)
+    _programs: null,      // type -> { program, uniforms }
+    _vao: null,
+    _paletteTexture: null,
+    _paletteData: null,
+    _paletteKey: null,
+
+    init(ctx, services, settings) {
+        this._gl = ctx.gl;
+        this._settings = settings;
+        this._audio = services.audio;
+        this._time = 0;
+        this._beatPulse = 0;
+        this._angle = 0;
+        this._rotation = 0;
+        this._paletteKey = null;
+
+        const gl = this._gl;
+        this._programs = {};
+        this._vao = gl.createVertexArray();
+        this._paletteData = new Uint8Array(256 * 4);
+        this._paletteTexture = this._createTexture(gl.RGBA8, 256, 1, gl.RGBA, gl.UNSIGNED_BYTE, gl.LINEAR);
+    },
+
+    resize(w, h) {
+        this._width = w;
+        this._height = h;
+    },
+
+    update(dt, audioFrame) {
+        this._audioParams = audioFrame.audioParams;
+        const bands = this._audio.getLogBands(8, this._audioParams);
+        const bass = (bands[0] + bands[1]) / 2;
+        const mid = (bands[2] + bands[3] + bands[4]) / 3;
+        const high = (bands[5] + bands[6] + bands[7]) / 3;
+        const level = bands.reduce((a, b) => a + b, 0) / 8;
+
+        this._time += dt;
+        this._colorShift = this._time * 50 + bands[0] * 100;
+
+        if (audioFrame.beat) this._beatPulse = Math.max(this._beatPulse, audioFrame.beatStrength);
+        this._beatPulse *= Math.exp(-dt / 0.3);
+
+        // Julia: c travels around the |c| = 0.7885 circle (rich, connected-ish sets);
+        // bass speeds it up, mids push it off the circle
+        this._angle = (this._angle + dt * (0.08 + bass * 0.8)) % (Math.PI * 2);
+        this._radius = 0.7885 + (mid - 0.25) * 0.08;
+
+        // Multibrot: power eased toward base + level
+        const target = this._powerBase + level * 4;
+        this._power += (target - this._power) * (1 - Math.exp(-dt / 0.25));
+
+        // Newton: over/under-relaxation swirls the basins
+        this._relax = 1 + mid * 0.8 - high * 0.3;
+
+        this._rotation += dt * (0.03 + high * 0.4);
+        this._breath = 1 + level * 0.25 + this._beatPulse * 0.15;
+    },
+
+    render() {
+        const gl = this._gl;
+        const s = this._settings;
+        if (this._width === 0 || this._height === 0) return;
+
+        const typeId = TYPES[s.fractalType] ? s.fractalType : 'julia';
+        const type = TYPES[typeId];
+        const entry = this._programs[typeId] || (this._programs[typeId] = this._buildProgram(type));
+        const u = entry.uniforms;
+
+        this._updatePalette(s);
+
+        gl.useProgram(entry.program);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this._paletteTexture);
+        gl.uniform1i(u.uPalette, 0);
+
+        // _power carries the mod matrix offset here (it is modulated after update())
+        const power = Math.max(1.5, Math.min(8, this._power));
+        const centerX = typeId === 'multibrot' ? -1 / power : type.center[0];
+        gl.uniform2f(u.uResolution, this._width, this._height);
+        gl.uniform2f(u.uCenter, centerX, type.center[1]);
+        gl.uniform1f(u.uScale, type.height / this._height / ((s.fractalZoom || 1) * this._breath));
+        gl.uniform1f(u.uRotation, type.rotate ? this._rotation : 0);
+        gl.uniform1i(u.uMaxIter, type.maxIter);
+        gl.uniform1f(u.uShift, (this._colorShift % 256) / 256);
+        gl.uniform2f(u.uC, this._radius * Math.cos(this._angle), this._radius * Math.sin(this._angle));
+        gl.uniform1f(u.uPower, power);
+        gl.uniform1f(u.uRelax, this._relax);
+
+        gl.disable(gl.DEPTH_TEST);
+        gl.disable(gl.BLEND);
+        gl.bindVertexArray(this._vao);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+        gl.bindVertexArray(null);
+    },
+
+    dispose() {
+        const gl = this._gl;
+        if (gl) {
+            for (const entry of Object.values(this._programs || {})) gl.deleteProgram(entry.program);
+            if (this._vao) gl.deleteVertexArray(this._vao);
+            if (this._paletteTexture) gl.deleteTexture(this._paletteTexture);
+        }
+        this._programs = null;
+        this._gl = null;
+        this._audio = null;
+    },
+
+    _buildProgram(type) {
+        const gl = this._gl;
+        const program = this._createProgram(FRAGMENT_HEADER + type.body);
+        const uniforms = {};
+        for (const name of ['uResolution', 'uCenter', 'uScale', 'uRotation', 'uMaxIter', 'uPalette', 'uShift', 'uC', 'uPower', 'uRelax']) {
+            uniforms[name] = gl.getUniformLocation(program, name);
+        }
+        return { program, uniforms };
+    },
+
+    // Palette + GL helpers shared with Mandelbrot
+    _buildPalette: Mandelbrot._buildPalette,
+    _updatePalette: Mandelbrot._updatePalette,
+    _hexToRgbObj: Mandelbrot._hexToRgbObj,
+    _createProgram: Mandelbrot._createProgram,
+    _compileShader: Mandelbrot._compileShader,
+    _createTexture: Mandelbrot._createTexture
+};
@@ -5,6 +5,18 @@ export const Lorenz = {
     id: 'lorenz',
     name: 'Lorenz Attractor',
     type: '2d',
+    workerSafe: true,
+    
+    params: {
+        lorenzTrail: { type: 'range', label: 'Trail Length', group: 'Lorenz', default: 1500, min: 200, max: 6000, step: 100 }
+    },
+    
+    // Mod matrix targets (resting values the audio mapping in _integrate() builds on)
+    modTargets: {
+        sigma: { label: 'Sigma', prop: '_sigmaBase', min: 1, max: 30 },
+        rho: { label: 'Rho', prop: '_rhoBase', min: 5, max: 60 },
+        beta: { label: 'Beta', prop: '_betaBase', min: 0.5, max: 6 }
+    },
     
     _ctx: null,
     _settings: null,
@@ -21,10 +33,19 @@ export const Lorenz = {
     _z: 0,
     
     // Lorenz parameters (will be audio-modulated)
+    _sigmaBase: 10,
+    _rhoBase: 28,
+    _betaBase: 8/3,
     _sigma: 10,
     _rho: 28,
     _beta: 8/3,
     
+    // Band energies from update(); integration waits for render(), after modulation
+    _bass: 0,
+    _mid: 0,
+    _high: 0,
+    _pendingSteps: 0,
+    
     init(ctx, services, settings) {
         this._ctx = ctx.ctx2d;
         this._settings = settings;
@@ -33,6 +54,7 @@ export const Lorenz = {
         this._x = 0.1;
         this._y = 0;
         this._z = 0;
+        this._pendingSteps = 0;
     },
     
     resize(w, h) {
@@ -46,18 +68,26 @@ export const Lorenz = {
         
         const bands = this._audio.getLogBands(8, this._audioParams);
         
-        // Modulate Lorenz parameters with audio
-        const bass = bands[0] + bands[1];
-        const mid = bands[2] + bands[3] + bands[4];
-        const high = bands[5] + bands[6] + bands[7];
+        this._bass = bands[0] + bands[1];
+        this._mid = bands[2] + bands[3] + bands[4];
+        this._high = bands[5] + bands[6] + bands[7];
         
-        this._sigma = 10 + bass * 5;
-        this._rho = 28 + mid * 10;
-        this._beta = 8/3 + high * 2;
+        // Multiple steps per frame for smoothness
+        this._pendingSteps = 10;
+    },
+    
+    // Runs at the start of render(): the mod matrix writes the base values after update()
+    // and puts them back before the next one, so they are only modulated from here on
+    _integrate() {
+        // Modulate Lorenz parameters with audio
+        this._sigma = this._sigmaBase + this._bass * 5;
+        this._rho = this._rhoBase + this._mid * 10;
+        this._beta = this._betaBase + this._high * 2;
         
-        // Integrate Lorenz system (multiple steps per frame for smoothness)
-        const steps = 10;
+        // Integrate Lorenz system
+        const steps = this._pendingSteps;
         const stepDt = 0.005;
+        this._pendingSteps = 0;
         
         for (let i = 0; i < steps; i++) {
             const dx = this._sigma * (this._y - this._x);
@@ -72,6 +102,7 @@ export const Lorenz = {
         }
         
         // Limit trail length
+        this._maxPoints = this._settings.lorenzTrail || this._maxPoints;
         while (this._points.length > this._maxPoints) {
             this._points.shift();
         }
@@ -86,6 +117,7 @@ export const Lorenz = {
         const cy = h / 2;
         const scale = Math.min(w, h) / 60;
         
+        this._integrate();
         if (this._points.length < 2) return;
         
         ctx.save();
@@ -1,170 +1,225 @@
 /**
- * Mandelbrot Zoom Visualizer - audio-reactive fractal exploration
+ * Mandelbrot Zoom Visualizer (WebGL2) - audio-reactive deep zoom into curated points
+ * Rendered per pixel in a fragment shader using perturbation: one reference orbit at the
+ * target point is computed in JS with BigInt fixed-point (exact well past double precision)
+ * and uploaded as a float texture; each pixel iterates only its small offset from it, which
+ * float32 holds down to ~1e-30. Pixels rebase onto the start of the orbit when their offset
+ * outgrows it (or the orbit ends), which keeps the result glitch-free at any depth.
  */
+
+// Zoom targets. Coordinates are decimal strings so they keep every digit (the deep ones are
+// Misiurewicz points, which show new spirals at any depth); depth = log10 of the deepest zoom.
+export const MANDELBROT_POINTS = {
+    seahorse: { label: 'Seahorse Valley', x: '-0.743643887037158704752191506114774', y: '0.131825904205311970493132056385139', depth: 30 },
+    spiral: { label: 'Spiral (M24,1)', x: '-0.775683768009053797469483503934741', y: '0.136467368294690124733274409617849', depth: 30 },
+    doubleSpiral: { label: 'Double Spiral (M28,1)', x: '-0.774680813028235787297724128555836', y: '0.137416807154791582151849999405822', depth: 30 },
+    dendrite: { label: 'Dendrite (M4,1)', x: '-0.101096363845622161025785445738623', y: '0.956286510809141500771096057729977', depth: 30 },
+    branch: { label: 'Branch Point (c = i)', x: '0', y: '1', depth: 30 }
+};
+
+const CUSTOM_DEPTH = 14;     // custom targets are doubles: no detail below that
+const REF_BITS = 160;        // fixed-point fraction bits of the reference orbit (~1e-48)
+const ORBIT_WIDTH = 1024;    // reference orbit texture: ORBIT_WIDTH x MAX_ITER / ORBIT_WIDTH (RG32F)
+const MAX_ITER = 4096;
+const BAILOUT2 = 65536;      // |z|^2 escape radius (large, for smooth coloring)
+
+const VERTEX_SOURCE = `#version 300 es
+void main() {
+    // Full-screen triangle from the vertex id (no buffers)
+    vec2 p = vec2((gl_VertexID << 1) & 2, gl_VertexID & 2);
+    gl_Position = vec4(p * 2.0 - 1.0, 0.0, 1.0);
+}`;
+
+const FRAGMENT_SOURCE = `#version 300 es
+precision highp float;
+precision highp int;
+uniform sampler2D uOrbit;    // reference orbit Z_n (rg)
+uniform int uOrbitLength;
+uniform int uMaxIter;
+uniform vec2 uOffset;        // view center - reference point
+uniform float uScale;        // complex units per pixel
+uniform vec2 uResolution;
+uniform sampler2D uPalette;
+uniform float uShift;        // palette rotation (0..1)
+out vec4 outColor;
+
+vec2 orbit(int n) {
+    return texelFetch(uOrbit, ivec2(n % ${ORBIT_WIDTH}, n / ${ORBIT_WIDTH}), 0).xy;
+}
+
+void main() {
+    vec2 dc = uOffset + (gl_FragCoord.xy - 0.5 * uResolution) * uScale;
+    vec2 dz = vec2(0.0);
+    int m = 0;
+    int i = 0;
+    float r2 = 0.0;
+    for (; i < uMaxIter; i++) {
+        vec2 Z = orbit(m);
+        vec2 z = Z + dz;
+        r2 = dot(z, z);
+        if (r2 > ${BAILOUT2}.0) break;
+        // Rebase when the pixel is closer to 0 than to the reference, or the orbit runs out
+        if (r2 < dot(dz, dz) || m == uOrbitLength - 1) {
+            dz = z;
+            Z = vec2(0.0);
+            m = 0;
+        }
+        // dz' = 2 Z dz + dz^2 + dc
+        dz = vec2(2.0 * (Z.x * dz.x - Z.y * dz.y) + dz.x * dz.x - dz.y * dz.y + dc.x,
+                  2.0 * (Z.x * dz.y + Z.y * dz.x) + 2.0 * dz.x * dz.y + dc.y);
+        m++;
+    }
+    if (i >= uMaxIter) {
+        outColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
+    }
+    // Continuous (smooth) iteration count -> palette
+    float mu = float(i) + 1.0 - log2(log2(r2));
+    outColor = vec4(texture(uPalette, vec2(fract(mu * 3.0 / 256.0 + uShift), 0.5)).rgb, 1.0);
+}`;
+
 export const Mandelbrot = {
     id: 'mandelbrot',
     name: 'Mandelbrot Zoom',
-    type: '2d',
-    
-    _ctx: null,
+    type: 'webgl2',
+    workerSafe: true,
+
+    params: {
+        mandelbrotPoint: {
+            type: 'select', label: 'Target', group: 'Mandelbrot', default: 'seahorse',
+            options: [...Object.entries(MANDELBROT_POINTS).map(([id, p]) => [id, p.label]), ['custom', 'Custom (X/Y)']]
+        },
+        mandelbrotTargetX: { type: 'number', label: 'Custom X', group: 'Mandelbrot', default: -0.743643887037158, step: 'any' },
+        mandelbrotTargetY: { type: 'number', label: 'Custom Y', group: 'Mandelbrot', default: 0.131825904205330, step: 'any' },
+        mandelbrotDepth: { type: 'range', label: 'Max Depth (10^n)', group: 'Mandelbrot', default: 24, min: 3, max: 30, step: 1 }
+    },
+
+    _gl: null,
     _settings: null,
     _audio: null,
     _width: 0,
     _height: 0,
     _audioParams: null,
-    
-    // Zoom state
+
+    // Zoom state: the view center is kept as its offset from the target, so it stays exact
+    // however deep the zoom goes
     _zoom: 1,
-    _centerX: -0.5,
-    _centerY: 0,
-    _targetX: -0.743643887037158,
-    _targetY: 0.131825904205330,
+    _offsetX: 0,
+    _offsetY: 0,
     _maxIter: 100,
-    _imageData: null,
-    _needsRender: true,
     _time: 0,
-    
+    _beatPulse: 0,
+    _colorShift: 0,
+    _targetKey: null,
+    _target: null,        // { x, y } as numbers, { depth }
+
+    // GL resources
+    _program: null,
+    _vao: null,
+    _uniforms: null,
+    _orbitTexture: null,
+    _orbit: null,         // Float32Array(MAX_ITER * 2)
+    _orbitLength: 0,
+    _paletteTexture: null,
+    _paletteData: null,   // Uint8Array(256 * 4)
+    _paletteKey: null,
+
     init(ctx, services, settings) {
-        this._ctx = ctx.ctx2d;
+        this._gl = ctx.gl;
         this._settings = settings;
         this._audio = services.audio;
         this._zoom = 1;
-        this._centerX = -0.5;
-        this._centerY = 0;
         this._time = 0;
-        this._needsRender = true;
+        this._beatPulse = 0;
+        this._targetKey = null;
+        this._paletteKey = null;
+
+        const gl = this._gl;
+        this._program = this._createProgram(FRAGMENT_SOURCE);
+        this._uniforms = {};
+        for (const name of ['uOrbit', 'uOrbitLength', 'uMaxIter', 'uOffset', 'uScale', 'uResolution', 'uPalette', 'uShift']) {
+            this._uniforms[name] = gl.getUniformLocation(this._program, name);
+        }
+        this._vao = gl.createVertexArray();
+
+        this._orbit = new Float32Array(MAX_ITER * 2);
+        this._orbitTexture = this._createTexture(gl.RG32F, ORBIT_WIDTH, MAX_ITER / ORBIT_WIDTH, gl.RG, gl.FLOAT, gl.NEAREST);
+        this._paletteData = new Uint8Array(256 * 4);
+        this._paletteTexture = this._createTexture(gl.RGBA8, 256, 1, gl.RGBA, gl.UNSIGNED_BYTE, gl.LINEAR);
     },
-    
+
     resize(w, h) {
         this._width = w;
         this._height = h;
-        this._imageData = this._ctx.createImageData(w, h);
-        this._needsRender = true;
     },
-    
+
     update(dt, audioFrame) {
+        const s = this._settings;
         this._audioParams = audioFrame.audioParams;
         const bands = this._audio.getLogBands(8, this._audioParams);
         const level = bands.reduce((a, b) => a + b, 0) / 8;
-        
+
         this._time += dt;
-        
+        this._colorShift = this._time * 50 + bands[0] * 100;
+
+        // Beat pulse: short zoom surge that decays over ~0.3s
+        if (audioFrame.beat) this._beatPulse = Math.max(this._beatPulse, audioFrame.beatStrength);
+        this._beatPulse *= Math.exp(-dt / 0.3);
+
+        this._updateTarget(s);
+
         // Continuous zoom modulated by audio
-        const zoomSpeed = 0.3 + level * 0.5;
+        const zoomSpeed = 0.3 + level * 0.5 + this._beatPulse * 1.5;
         this._zoom *= (1 + zoomSpeed * dt);
-        
-        // Slowly approach target point
-        const approach = 1 - Math.exp(-dt * 0.5);
-        this._centerX += (this._targetX - this._centerX) * approach;
-        this._centerY += (this._targetY - this._centerY) * approach;
-        
+
+        // Approach the target faster than the zoom grows, so it can't drift out of view
+        const approach = Math.exp(-dt * (zoomSpeed + 0.5));
+        this._offsetX *= approach;
+        this._offsetY *= approach;
+
         // Adjust iterations based on zoom
-        this._maxIter = Math.floor(100 + Math.log2(this._zoom) * 20);
-        
-        // Reset zoom periodically
-        if (this._zoom > 1e12) {
-            this._zoom = 1;
-            this._centerX = -0.5;
-            this._centerY = 0;
-        }
-        
-        this._needsRender = true;
+        this._maxIter = Math.min(MAX_ITER, Math.floor(100 + Math.log2(this._zoom) * 20));
+
+        // Start over at the deepest zoom this target (and the depth setting) allows
+        const depth = Math.min(s.mandelbrotDepth ?? 24, this._target.depth);
+        if (this._zoom > Math.pow(10, depth)) this._resetZoom();
     },
-    
+
     render() {
-        const ctx = this._ctx;
-        const s = this._settings;
-        const w = this._width;
-        const h = this._height;
-        
-        if (!this._imageData || w === 0 || h === 0) return;
-        
-        // Render at lower resolution for performance
-        const scale = 4;
-        const sw = Math.floor(w / scale);
-        const sh = Math.floor(h / scale);
-        
-        const aspect = w / h;
-        const rangeY = 2 / this._zoom;
-        const rangeX = rangeY * aspect;
-        
-        const minX = this._centerX - rangeX / 2;
-        const minY = this._centerY - rangeY / 2;
-        
-        const bands = this._audio.getLogBands(8, this._audioParams);
-        const colorShift = this._time * 50 + bands[0] * 100;
-        
-        // Build color palette
-        const palette = this._buildPalette(s, colorShift);
-        
-        // Clear with background
-        ctx.fillStyle = s.bgColor;
-        ctx.fillRect(0, 0, w, h);
-        
-        // Render Mandelbrot
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = sw;
-        tempCanvas.height = sh;
-        const tempCtx = tempCanvas.getContext('2d');
-        const imgData = tempCtx.createImageData(sw, sh);
-        const data = imgData.data;
-        
-        for (let py = 0; py < sh; py++) {
-            for (let px = 0; px < sw; px++) {
-                const x0 = minX + (px / sw) * rangeX;
-                const y0 = minY + (py / sh) * rangeY;
-                
-                let x = 0, y = 0;
-                let iter = 0;
-                
-                while (x*x + y*y <= 4 && iter < this._maxIter) {
-                    const xtemp = x*x - y*y + x0;
-                    y = 2*x*y + y0;
-                    x = xtemp;
-                    iter++;
-                }
-                
-                const idx = (py * sw + px) * 4;
-                
-                if (iter === this._maxIter) {
-                    data[idx] = 0;
-                    data[idx + 1] = 0;
-                    data[idx + 2] = 0;
-                } else {
-                    const smooth = iter + 1 - Math.log2(Math.log2(x*x + y*y));
-                    const colorIdx = Math.floor(smooth * 3 + colorShift) % 256;
-                    const color = palette[Math.abs(colorIdx)];
-                    data[idx] = color.r;
-                    data[idx + 1] = color.g;
-                    data[idx + 2] = color.b;
-                }
-                data[idx + 3] = 255;
-            }
-        }
-        
-        tempCtx.putImageData(imgData, 0, 0);
-        
-        // Scale up to full size
-        ctx.imageSmoothingEnabled = true;
-        ctx.drawImage(tempCanvas, 0, 0, w, h);
-        
-        // Add glow effect if enabled
-        if (s.glowAmount > 0) {
-            ctx.globalCompositeOperation = 'screen';
-            ctx.filter = `blur(${s.glowAmount * 10}px)`;
-            ctx.globalAlpha = s.glowAmount * 0.5;
-            ctx.drawImage(tempCanvas, 0, 0, w, h);
-            ctx.globalAlpha = 1;
-            ctx.filter = 'none';
-            ctx.globalCompositeOperation = 'source-over';
-        }
+        const gl = this._gl;
+        const u = this._uniforms;
+        if (!this._program || this._width === 0 || this._height === 0) return;
+
+        this._updatePalette(this._settings);
+
+        gl.useProgram(this._program);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this._orbitTexture);
+        gl.uniform1i(u.uOrbit, 0);
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this._paletteTexture);
+        gl.uniform1i(u.uPalette, 1);
+
+        gl.uniform1i(u.uOrbitLength, this._orbitLength);
+        gl.uniform1i(u.uMaxIter, this._maxIter);
+        gl.uniform2f(u.uOffset, this._offsetX, this._offsetY);
+        gl.uniform1f(u.uScale, 2 / this._zoom / this._height);
+        gl.uniform2f(u.uResolution, this._width, this._height);
+        gl.uniform1f(u.uShift, (this._colorShift % 256) / 256);
+
+        gl.disable(gl.DEPTH_TEST);
+        gl.disable(gl.BLEND);
+        gl.bindVertexArray(this._vao);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+        gl.bindVertexArray(null);
+        gl.activeTexture(gl.TEXTURE0);
     },
-    
-    _buildPalette(s, shift) {
+
+    _buildPalette(s) {
         const palette = [];
         for (let i = 0; i < 256; i++) {
             const t = i / 256;
-            
+
             if (s.gradientEnabled && s.gradientStops >= 2) {
                 const colorIndex = Math.floor(t * (s.gradientStops - 1));
                 const nextIndex = Math.min(colorIndex + 1, s.gradientStops - 1);
@@ -188,13 +243,106 @@ export const Mandelbrot = {
         }
         return palette;
     },
-    
+
+    // Re-upload the palette texture when the color settings change
+    _updatePalette(s) {
+        const key = s.gradientEnabled + '|' + s.gradientStops + '|' + s.colorStops.join() + '|' + s.baseColor;
+        if (key === this._paletteKey) return;
+        this._paletteKey = key;
+
+        const data = this._paletteData;
+        this._buildPalette(s).forEach((c, i) => {
+            data[i * 4] = c.r;
+            data[i * 4 + 1] = c.g;
+            data[i * 4 + 2] = c.b;
+            data[i * 4 + 3] = 255;
+        });
+        const gl = this._gl;
+        gl.bindTexture(gl.TEXTURE_2D, this._paletteTexture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 256, 1, gl.RGBA, gl.UNSIGNED_BYTE, data);
+    },
+
+    // Recompute the reference orbit when the target changes
+    _updateTarget(s) {
+        const point = MANDELBROT_POINTS[s.mandelbrotPoint];
+        const x = point ? point.x : String(s.mandelbrotTargetX ?? 0);
+        const y = point ? point.y : String(s.mandelbrotTargetY ?? 0);
+        const key = x + ',' + y;
+        if (key === this._targetKey) return;
+        this._targetKey = key;
+
+        this._target = { x: Number(x), y: Number(y), depth: point ? point.depth : CUSTOM_DEPTH };
+        this._orbitLength = referenceOrbit(toFixed(x), toFixed(y), this._orbit);
+
+        const gl = this._gl;
+        gl.bindTexture(gl.TEXTURE_2D, this._orbitTexture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, ORBIT_WIDTH, MAX_ITER / ORBIT_WIDTH, gl.RG, gl.FLOAT, this._orbit);
+        this._resetZoom();
+    },
+
+    // Back to the whole set (centered on -0.5), then zoom in toward the target again
+    _resetZoom() {
+        this._zoom = 1;
+        this._offsetX = -0.5 - this._target.x;
+        this._offsetY = -this._target.y;
+    },
+
+    _createProgram(fragmentSource) {
+        const gl = this._gl;
+        const vs = this._compileShader(gl.VERTEX_SHADER, VERTEX_SOURCE);
+        const fs = this._compileShader(gl.FRAGMENT_SHADER, fragmentSource);
+        const program = gl.createProgram();
+        gl.attachShader(program, vs);
+        gl.attachShader(program, fs);
+        gl.linkProgram(program);
+        gl.deleteShader(vs);
+        gl.deleteShader(fs);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            const log = gl.getProgramInfoLog(program);
+            gl.deleteProgram(program);
+            throw new Error(log || 'Program link failed');
+        }
+        return program;
+    },
+
+    _compileShader(type, source) {
+        const gl = this._gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error(log || 'Shader compile failed');
+        }
+        return shader;
+    },
+
+    _createTexture(internalFormat, width, height, format, type, filter) {
+        const gl = this._gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texStorage2D(gl.TEXTURE_2D, 1, internalFormat, width, height);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, filter === gl.LINEAR ? gl.REPEAT : gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    },
+
     dispose() {
-        this._ctx = null;
+        const gl = this._gl;
+        if (gl) {
+            if (this._program) gl.deleteProgram(this._program);
+            if (this._vao) gl.deleteVertexArray(this._vao);
+            if (this._orbitTexture) gl.deleteTexture(this._orbitTexture);
+            if (this._paletteTexture) gl.deleteTexture(this._paletteTexture);
+        }
+        this._program = null;
+        this._gl = null;
         this._audio = null;
-        this._imageData = null;
     },
-    
+
     _hexToRgbObj(hex) {
         return {
             r: parseInt(hex.slice(1, 3), 16),
@@ -203,3 +351,37 @@ export const Mandelbrot = {
         };
     }
 };
+
+// Decimal string ('-0.74', '1e-3') -> BigInt with REF_BITS fraction bits
+function toFixed(str) {
+    const m = /^\s*([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?\s*$/i.exec(str);
+    if (!m) return 0n;
+    const digits = BigInt((m[2] || '0') + (m[3] || ''));
+    const exp = (m[4] ? parseInt(m[4], 10) : 0) - (m[3] || '').length;
+    let value = digits << BigInt(REF_BITS);
+    value = exp >= 0 ? value * 10n ** BigInt(exp) : value / 10n ** BigInt(-exp);
+    return m[1] === '-' ? -value : value;
+}
+
+function toNumber(fixed) {
+    return Number(fixed) / 2 ** REF_BITS;
+}
+
+// Iterate z -> z^2 + c from 0 in fixed point, storing each z as floats in out.
+// Stops after the first escaped value; returns the number of values stored.
+function referenceOrbit(cx, cy, out) {
+    const shift = BigInt(REF_BITS);
+    let x = 0n;
+    let y = 0n;
+    for (let n = 0; n < MAX_ITER; n++) {
+        const zx = toNumber(x);
+        const zy = toNumber(y);
+        out[n * 2] = zx;
+        out[n * 2 + 1] = zy;
+        if (zx * zx + zy * zy > 4) return n + 1;
+        const xy = (x * y) >> shift;
+        x = ((x * x - y * y) >> shift) + cx;
+        y = 2n * xy + cy;
+    }
+    return MAX_ITER;
+}
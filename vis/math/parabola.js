@@ -5,6 +5,14 @@ export const Parabola = {
     id: 'parabola',
     name: 'Lissajous Curves',
     type: '2d',
+    workerSafe: true,
+    
+    // Mod matrix targets
+    modTargets: {
+        phase: { label: 'Phase', prop: '_phase' },
+        freqX: { label: 'Frequency X', prop: '_freqX', min: 1, max: 12 },
+        freqY: { label: 'Frequency Y', prop: '_freqY', min: 1, max: 12 }
+    },
     
     _ctx: null,
     _settings: null,
@@ -13,6 +21,7 @@ export const Parabola = {
     _height: 0,
     _audioParams: null,
     _phase: 0,
+    _lastBeatPos: null,
     _freqX: 3,
     _freqY: 2,
     
@@ -21,6 +30,7 @@ export const Parabola = {
         this._settings = settings;
         this._audio = services.audio;
         this._phase = 0;
+        this._lastBeatPos = null;
     },
     
     resize(w, h) {
@@ -39,7 +49,16 @@ export const Parabola = {
         const mid = (bands[2] + bands[3] + bands[4]) / 3;
         const high = (bands[5] + bands[6] + bands[7]) / 3;
         
-        this._phase += dt * (1 + mid * 3);
+        if (audioFrame.bpm > 0) {
+            // Tempo-locked: a quarter cycle of phase per beat
+            const beatPos = audioFrame.beatPosition;
+            const delta = this._lastBeatPos === null ? 0 : beatPos - this._lastBeatPos;
+            if (delta > 0 && delta < 2) this._phase += delta * Math.PI / 2;
+            this._lastBeatPos = beatPos;
+        } else {
+            this._phase += dt * (1 + mid * 3);
+            this._lastBeatPos = null;
+        }
         this._freqX = 3 + Math.floor(bass * 4);
         this._freqY = 2 + Math.floor(high * 3);
     },
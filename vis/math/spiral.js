@@ -5,6 +5,16 @@ export const Spiral = {
     id: 'spiral',
     name: 'Audio Spiral',
     type: '2d',
+    workerSafe: true,
+    
+    params: {
+        spiralArms: { type: 'range', label: 'Arms', group: 'Spiral', default: 2, min: 1, max: 8, step: 1 }
+    },
+    
+    // Mod matrix targets
+    modTargets: {
+        rotation: { label: 'Rotation', prop: '_rotation' }
+    },
     
     _ctx: null,
     _settings: null,
@@ -13,12 +23,14 @@ export const Spiral = {
     _height: 0,
     _audioParams: null,
     _rotation: 0,
+    _lastBeatPos: null,
     
     init(ctx, services, settings) {
         this._ctx = ctx.ctx2d;
         this._settings = settings;
         this._audio = services.audio;
         this._rotation = 0;
+        this._lastBeatPos = null;
     },
     
     resize(w, h) {
@@ -29,7 +41,21 @@ export const Spiral = {
     update(dt, audioFrame) {
         this._audioParams = audioFrame.audioParams;
         const level = audioFrame.level || 0;
-        this._rotation += dt * (0.5 + level * 2);
+        
+        if (audioFrame.bpm > 0) {
+            // Tempo-locked: an eighth turn per beat, snapping forward on each beat
+            const beatPos = Math.floor(audioFrame.beatPosition) + this._easeBeat(audioFrame.beatPhase);
+            const delta = this._lastBeatPos === null ? 0 : beatPos - this._lastBeatPos;
+            if (delta > 0 && delta < 2) this._rotation += delta * Math.PI / 4;
+            this._lastBeatPos = beatPos;
+        } else {
+            this._rotation += dt * (0.5 + level * 2);
+            this._lastBeatPos = null;
+        }
+    },
+    
+    _easeBeat(p) {
+        return 1 - Math.pow(1 - p, 3);
     },
     
     render() {
@@ -56,7 +82,7 @@ export const Spiral = {
         }
         
         // Draw spiral arms
-        const arms = 2;
+        const arms = s.spiralArms || 2;
         for (let arm = 0; arm < arms; arm++) {
             const armOffset = (arm / arms) * Math.PI * 2;
             